@@ -0,0 +1,149 @@
+/**
+ * Accessible Feedback
+ * Non-visual tuner output shared by both tuners: spoken descriptions for an ARIA live region,
+ * a sonified direction cue and vibration patterns. Throttling lives in a plain state object
+ * (see createState); the cue needs an AudioContext and vibration uses navigator.vibrate, no DOM.
+ *
+ * Direction cue works like a parking sensor: ticks come faster the closer the string gets and stop
+ * once it's in tune. Flat ticks are low "tocks", sharp ones high "ticks". They are short bursts of
+ * filtered noise, so the detector (clarity-gated) doesn't mistake them for a note.
+ */
+
+const AccessibleFeedback = {
+    DEFAULTS: {
+        enabled: false,
+        announce: true,  // Live-region announcements (screen readers)
+        cue: true,       // Direction ticks
+        vibrate: true    // Vibration API, where the device has it
+    },
+    OPTIONS: {
+        announce: 'Speak',
+        cue: 'Sound Cue',
+        vibrate: 'Vibrate'
+    },
+    ANNOUNCE_INTERVAL: 1500, // ms between announcements when the note or direction changes
+    REPEAT_INTERVAL: 5000,   // ms before an unchanged state is repeated (with the new cents)
+    CUE_RANGE: 50,           // Cents at (or beyond) which the ticks are slowest
+    CUE_FAST: 120,           // ms between ticks just outside the tolerance
+    CUE_SLOW: 900,           // ms between ticks at CUE_RANGE
+    CUE_BANDS: { flat: 600, sharp: 3000 }, // Hz centre of the tick's noise band
+    CUE_LEVEL: 0.3,
+    VIBRATION: {
+        flat: [300],                     // One long buzz
+        sharp: [80, 80, 80, 80, 80],     // Three short ones
+        inTune: [40, 60, 40, 60, 400]    // Double tap, then hold
+    },
+    noiseCache: {},                      // Tick noise buffers by sampleRate
+
+    normalize(prefs) {
+        const p = { ...this.DEFAULTS, ...(prefs || {}) };
+        Object.keys(this.DEFAULTS).forEach(key => { p[key] = p[key] === true; });
+        return p;
+    },
+
+    createState() {
+        return {
+            key: '',           // Note + direction last announced ('' = nothing yet)
+            time: -Infinity,   // When it was announced
+            nextTick: 0        // Time of the next cue tick (0 = start at once)
+        };
+    },
+
+    // 'flat' | 'sharp' | 'inTune'
+    direction(cents, tolerance) {
+        if (Math.abs(cents) <= tolerance) return 'inTune';
+        return cents < 0 ? 'flat' : 'sharp';
+    },
+
+    // "F#3" -> "F sharp 3", so screen readers don't read "F number 3"
+    spokenNote(note) {
+        return String(note)
+            .replace(/^([A-G])#/, '$1 sharp ')
+            .replace(/^([A-G])b/, '$1 flat ')
+            .replace(/^([A-G])(\d)/, '$1 $2');
+    },
+
+    // e.g. "E 2, 12 cents flat" or "A 2, in tune"
+    describe(note, cents, tolerance) {
+        const direction = this.direction(cents, tolerance);
+        if (direction === 'inTune') return `${this.spokenNote(note)}, in tune`;
+        const amount = Math.round(Math.abs(cents));
+        return `${this.spokenNote(note)}, ${amount} ${amount === 1 ? 'cent' : 'cents'} ${direction}`;
+    },
+
+    /**
+     * Text to announce for this frame, or null while throttled.
+     * reading: { note, cents } or null (no note). A new note or direction is announced at most every
+     * ANNOUNCE_INTERVAL; the same state is repeated every REPEAT_INTERVAL; silence is announced once.
+     */
+    announcement(state, reading, tolerance, now) {
+        const key = reading ? `${reading.note}:${this.direction(reading.cents, tolerance)}` : 'silent';
+        const elapsed = now - state.time;
+        if (key === state.key) {
+            if (!reading || elapsed < this.REPEAT_INTERVAL) return null;
+        } else if (elapsed < this.ANNOUNCE_INTERVAL) {
+            return null;
+        }
+        if (!reading && !state.key) return null; // Nothing to say before the first note
+
+        state.key = key;
+        state.time = now;
+        return reading ? this.describe(reading.note, reading.cents, tolerance) : 'No note';
+    },
+
+    // Buzzes the pattern for a direction, if the device can vibrate
+    vibrate(direction) {
+        const pattern = this.VIBRATION[direction];
+        if (pattern && typeof navigator !== 'undefined' && navigator.vibrate) navigator.vibrate(pattern);
+    },
+
+    // ms between ticks for a deviation, or null when in tune (no ticks)
+    cueInterval(cents, tolerance) {
+        const abs = Math.abs(cents);
+        if (abs <= tolerance) return null;
+        const t = Math.min(1, (abs - tolerance) / Math.max(1, this.CUE_RANGE - tolerance));
+        return this.CUE_FAST + (this.CUE_SLOW - this.CUE_FAST) * t;
+    },
+
+    // Once per frame; plays a tick when one is due. cents null = no reading (ticks stop).
+    updateCue(state, ctx, destination, cents, tolerance, now) {
+        const interval = cents === null ? null : this.cueInterval(cents, tolerance);
+        if (interval === null) {
+            state.nextTick = 0;
+            return;
+        }
+        if (now < state.nextTick) return;
+        this.tick(ctx, destination, cents < 0 ? 'flat' : 'sharp');
+        state.nextTick = now + interval;
+    },
+
+    // One 30 ms band-passed noise burst
+    tick(ctx, destination, direction) {
+        const sr = ctx.sampleRate;
+        if (!this.noiseCache[sr]) {
+            const buffer = ctx.createBuffer(1, Math.floor(sr * 0.03), sr);
+            const data = buffer.getChannelData(0);
+            for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+            this.noiseCache[sr] = buffer;
+        }
+
+        const now = ctx.currentTime;
+        const source = ctx.createBufferSource();
+        source.buffer = this.noiseCache[sr];
+        const band = ctx.createBiquadFilter();
+        band.type = 'bandpass';
+        band.frequency.value = this.CUE_BANDS[direction];
+        band.Q.value = 4;
+        const gain = ctx.createGain();
+        gain.gain.setValueAtTime(this.CUE_LEVEL, now);
+        gain.gain.exponentialRampToValueAtTime(0.001, now + 0.03);
+
+        source.connect(band);
+        band.connect(gain);
+        gain.connect(destination);
+        source.start(now);
+        source.stop(now + 0.03);
+    }
+};
+
+if (typeof module !== 'undefined') module.exports = AccessibleFeedback;
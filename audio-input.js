@@ -0,0 +1,137 @@
+/**
+ * Audio Input
+ * Input device selection and raw-signal capture shared by both tuners. Needs
+ * navigator.mediaDevices and an AudioContext, no DOM.
+ *
+ * Chain: MediaStreamSource -> input gain -> destination (the analyser).
+ * Changing the device or a constraint only swaps the source, so a running tuner keeps going.
+ *
+ * Browsers default to voice processing (echo cancellation, noise suppression, auto gain),
+ * which smears sustained notes and pumps the level, so everything is off by default.
+ */
+
+const AudioInput = {
+    DEFAULTS: {
+        deviceId: '',            // '' = system default
+        echoCancellation: false,
+        noiseSuppression: false,
+        autoGainControl: false,
+        gain: 0                  // Input gain in dB
+    },
+    PROCESSING: {
+        echoCancellation: 'Echo Cancel',
+        noiseSuppression: 'Noise Suppress',
+        autoGainControl: 'Auto Gain'
+    },
+    MIN_GAIN: -12,
+    MAX_GAIN: 24,
+    METER_FLOOR: -60,  // dBFS shown as an empty meter
+    CLIP_LEVEL: 0.99,  // Sample peak counted as clipping
+
+    // Fills in missing/invalid fields of stored settings
+    normalize(prefs) {
+        const p = { ...this.DEFAULTS, ...(prefs || {}) };
+        p.deviceId = typeof p.deviceId === 'string' ? p.deviceId : '';
+        Object.keys(this.PROCESSING).forEach(key => { p[key] = p[key] === true; });
+        const gain = parseFloat(p.gain);
+        p.gain = isNaN(gain) ? 0 : Math.max(this.MIN_GAIN, Math.min(this.MAX_GAIN, gain));
+        return p;
+    },
+
+    // getUserMedia constraints for the settings
+    constraints(prefs) {
+        const audio = {
+            echoCancellation: prefs.echoCancellation,
+            noiseSuppression: prefs.noiseSuppression,
+            autoGainControl: prefs.autoGainControl
+        };
+        if (prefs.deviceId) audio.deviceId = { exact: prefs.deviceId };
+        return { audio };
+    },
+
+    // [{ deviceId, label }] of the audio inputs; labels stay empty until mic permission is granted
+    async listDevices() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices
+            .filter(d => d.kind === 'audioinput')
+            .map((d, i) => ({ deviceId: d.deviceId, label: d.label || `Input ${i + 1}` }));
+    },
+
+    // Calls onChange when an interface is plugged in or removed
+    watchDevices(onChange) {
+        if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+            navigator.mediaDevices.addEventListener('devicechange', onChange);
+        }
+    },
+
+    // Gain stage (gainDb) feeding destination; open() attaches the stream to it
+    createChain(ctx, destination, gainDb = 0) {
+        const gain = ctx.createGain();
+        gain.connect(destination);
+        const chain = { ctx, gain, source: null, stream: null };
+        this.setGain(chain, gainDb);
+        return chain;
+    },
+
+    /**
+     * Opens (or re-opens) the stream for the device/processing settings and swaps it into the chain.
+     * A saved device that is gone falls back to the default input.
+     * Returns the deviceId actually in use ('' if the browser doesn't report it).
+     */
+    async open(chain, prefs) {
+        let stream;
+        try {
+            stream = await navigator.mediaDevices.getUserMedia(this.constraints(prefs));
+        } catch (e) {
+            if (!prefs.deviceId || (e.name !== 'OverconstrainedError' && e.name !== 'NotFoundError')) throw e;
+            stream = await navigator.mediaDevices.getUserMedia(this.constraints({ ...prefs, deviceId: '' }));
+        }
+
+        this.release(chain);
+        chain.stream = stream;
+        chain.source = chain.ctx.createMediaStreamSource(stream);
+        chain.source.connect(chain.gain);
+
+        const track = stream.getAudioTracks()[0];
+        const settings = track && track.getSettings ? track.getSettings() : {};
+        return settings.deviceId || '';
+    },
+
+    // Seconds the browser reports between the mic and the graph (0 when it doesn't say)
+    inputLatency(chain) {
+        const track = chain.stream && chain.stream.getAudioTracks()[0];
+        const settings = track && track.getSettings ? track.getSettings() : {};
+        return typeof settings.latency === 'number' ? settings.latency : 0;
+    },
+
+    // Disconnects and stops the current stream (frees the device / browser mic indicator)
+    release(chain) {
+        if (chain.source) chain.source.disconnect();
+        if (chain.stream) chain.stream.getTracks().forEach(t => t.stop());
+        chain.source = null;
+        chain.stream = null;
+    },
+
+    setGain(chain, db) {
+        chain.gain.gain.value = Math.pow(10, db / 20);
+    },
+
+    // { rms, peak, db (RMS in dBFS), clipped } of an analysis buffer
+    level(buf) {
+        let sum = 0;
+        let peak = 0;
+        for (let i = 0; i < buf.length; i++) {
+            sum += buf[i] * buf[i];
+            const a = Math.abs(buf[i]);
+            if (a > peak) peak = a;
+        }
+        const rms = Math.sqrt(sum / buf.length);
+        return { rms, peak, db: rms > 0 ? 20 * Math.log10(rms) : -Infinity, clipped: peak >= this.CLIP_LEVEL };
+    },
+
+    // 0..1 meter position for a dBFS value
+    meterFraction(db) {
+        return Math.max(0, Math.min(1, 1 - db / this.METER_FLOOR));
+    }
+};
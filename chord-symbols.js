@@ -0,0 +1,228 @@
+/**
+ * Chord Symbols
+ * Chord vocabulary and a parser for written chord symbols: "Cadd9", "F#m7b5", "G13", "E7#9", "D/F#",
+ * "Bbmaj7(#11)", "A6/9", "Cø7", "Eb-7", "F∆", "C2" (chart shorthand for Cadd9). DOM-free.
+ *
+ * A chord is a formula of degrees above the root ("1", "b3", "#5", "bb7", "#9", ...), so notes can be
+ * spelled properly (C7#9 has a D#, Cm7 an Eb) and intervals shown the way they are written.
+ * Parsed: { root, bass, type, suffix, formula, intervals }
+ *   type: key in TYPES, or null for combinations outside the vocabulary (the caller may add them)
+ *   intervals: semitones above the root, in formula order
+ */
+
+const ChordSymbols = {
+    LETTERS: ['C', 'D', 'E', 'F', 'G', 'A', 'B'],
+    NATURALS: [0, 2, 4, 5, 7, 9, 11],
+    // Semitones of each degree in the major scale (compound degrees an octave up)
+    DEGREES: { 1: 0, 2: 2, 3: 4, 4: 5, 5: 7, 6: 9, 7: 11, 9: 14, 11: 17, 13: 21 },
+
+    // symbol is what follows the root when the chord is written out
+    TYPES: {
+        "Major": { name: "Major", symbol: "", formula: ['1', '3', '5'] },
+        "Minor": { name: "Minor", symbol: "m", formula: ['1', 'b3', '5'] },
+        "5": { name: "Power Chord", symbol: "5", formula: ['1', '5'] },
+        "6": { name: "Major 6", symbol: "6", formula: ['1', '3', '5', '6'] },
+        "m6": { name: "Minor 6", symbol: "m6", formula: ['1', 'b3', '5', '6'] },
+        "6/9": { name: "6/9", symbol: "6/9", formula: ['1', '3', '5', '6', '9'] },
+        "m6/9": { name: "Minor 6/9", symbol: "m6/9", formula: ['1', 'b3', '5', '6', '9'] },
+        "7": { name: "Dominant 7", symbol: "7", formula: ['1', '3', '5', 'b7'] },
+        "Maj7": { name: "Major 7", symbol: "maj7", formula: ['1', '3', '5', '7'] },
+        "m7": { name: "Minor 7", symbol: "m7", formula: ['1', 'b3', '5', 'b7'] },
+        "mMaj7": { name: "Minor Major 7", symbol: "m(maj7)", formula: ['1', 'b3', '5', '7'] },
+        "m7b5": { name: "Half-Diminished", symbol: "m7b5", formula: ['1', 'b3', 'b5', 'b7'] },
+        "dim7": { name: "Diminished 7", symbol: "dim7", formula: ['1', 'b3', 'b5', 'bb7'] },
+        "7sus4": { name: "7 Sus4", symbol: "7sus4", formula: ['1', '4', '5', 'b7'] },
+        "7#5": { name: "Augmented 7", symbol: "7#5", formula: ['1', '3', '#5', 'b7'] },
+        "7b5": { name: "7 Flat 5", symbol: "7b5", formula: ['1', '3', 'b5', 'b7'] },
+        "7b9": { name: "7 Flat 9", symbol: "7b9", formula: ['1', '3', '5', 'b7', 'b9'] },
+        "7#9": { name: "7 Sharp 9", symbol: "7#9", formula: ['1', '3', '5', 'b7', '#9'] },
+        "7#11": { name: "7 Sharp 11", symbol: "7#11", formula: ['1', '3', '5', 'b7', '#11'] },
+        "Maj7#11": { name: "Major 7 Sharp 11", symbol: "maj7#11", formula: ['1', '3', '5', '7', '#11'] },
+        "9": { name: "Dominant 9", symbol: "9", formula: ['1', '3', '5', 'b7', '9'] },
+        "Maj9": { name: "Major 9", symbol: "maj9", formula: ['1', '3', '5', '7', '9'] },
+        "m9": { name: "Minor 9", symbol: "m9", formula: ['1', 'b3', '5', 'b7', '9'] },
+        "9sus4": { name: "9 Sus4", symbol: "9sus4", formula: ['1', '4', '5', 'b7', '9'] },
+        "add9": { name: "Add 9", symbol: "add9", formula: ['1', '3', '5', '9'] },
+        "madd9": { name: "Minor Add 9", symbol: "madd9", formula: ['1', 'b3', '5', '9'] },
+        "11": { name: "Dominant 11", symbol: "11", formula: ['1', '3', '5', 'b7', '9', '11'] },
+        "m11": { name: "Minor 11", symbol: "m11", formula: ['1', 'b3', '5', 'b7', '9', '11'] },
+        "13": { name: "Dominant 13", symbol: "13", formula: ['1', '3', '5', 'b7', '9', '13'] },
+        "Maj13": { name: "Major 13", symbol: "maj13", formula: ['1', '3', '5', '7', '9', '13'] },
+        "m13": { name: "Minor 13", symbol: "m13", formula: ['1', 'b3', '5', 'b7', '9', '11', '13'] },
+        "sus2": { name: "Sus2", symbol: "sus2", formula: ['1', '2', '5'] },
+        "sus4": { name: "Sus4", symbol: "sus4", formula: ['1', '4', '5'] },
+        "dim": { name: "Diminished", symbol: "dim", formula: ['1', 'b3', 'b5'] },
+        "aug": { name: "Augmented", symbol: "aug", formula: ['1', '3', '#5'] }
+    },
+
+    // TYPES with semitone intervals filled in
+    types() {
+        const types = {};
+        Object.entries(this.TYPES).forEach(([key, t]) => {
+            types[key] = { ...t, intervals: t.formula.map(d => this.semitones(d)) };
+        });
+        return types;
+    },
+
+    // "b7" -> 10, "#9" -> 15, "bb7" -> 9; NaN for anything else
+    semitones(degree) {
+        const match = String(degree).match(/^(b*|#*)(\d+)$/);
+        if (!match || this.DEGREES[match[2]] === undefined) return NaN;
+        const shift = match[1].startsWith('b') ? -match[1].length : match[1].length;
+        return this.DEGREES[match[2]] + shift;
+    },
+
+    // Pitch class (0-11) of a note name such as "F#", "Bb", "Cb", "E#"; -1 if it isn't one
+    pitchClass(name) {
+        const match = String(name).match(/^([A-Ga-g])(#{0,2}|b{0,2})$/);
+        if (!match) return -1;
+        const natural = this.NATURALS[this.LETTERS.indexOf(match[1].toUpperCase())];
+        const shift = match[2].startsWith('b') ? -match[2].length : match[2].length;
+        return (((natural + shift) % 12) + 12) % 12;
+    },
+
+    // Note names of a formula, spelled from the root's letter: spell("C", ["1", "3", "5", "b7", "#9"]) -> C E G Bb D#
+    spell(root, formula) {
+        const rootPc = this.pitchClass(root);
+        const letter = this.LETTERS.indexOf(String(root).charAt(0).toUpperCase());
+        return formula.map(degree => {
+            const step = (parseInt(degree.replace(/^[b#]+/, ''), 10) - 1) % 7;
+            const noteLetter = (letter + step) % 7;
+            const pc = (rootPc + this.semitones(degree)) % 12;
+            const diff = ((pc - this.NATURALS[noteLetter] + 18) % 12) - 6;
+            return this.LETTERS[noteLetter] + (diff < 0 ? 'b'.repeat(-diff) : '#'.repeat(diff));
+        });
+    },
+
+    // Tones a voicing can't do without (semitones): the plain 5th goes on 4+ note chords, the 9th
+    // under an 11th or 13th, the 11th under a 13th, and only the top two tensions have to sound
+    essential(formula) {
+        const has = n => formula.some(d => d.replace(/^[b#]+/, '') === n);
+        const kept = formula.filter(d => !(
+            (d === '5' && formula.length >= 4) ||
+            (d === '9' && (has('11') || has('13'))) ||
+            (d === '11' && has('13'))
+        ));
+        const tensions = kept.filter(d => /^[b#]*(9|11|13)$/.test(d));
+        return kept.filter(d => !tensions.includes(d) || tensions.indexOf(d) >= tensions.length - 2).map(d => this.semitones(d));
+    },
+
+    // Written name, e.g. ("F#", "m7b5", "A") -> "F#m7b5/A"
+    symbol(root, type, bass = null) {
+        const t = this.TYPES[type];
+        return `${root}${t ? t.symbol : type}${bass ? `/${bass}` : ''}`;
+    },
+
+    /**
+     * Reads a chord symbol; null if any of it isn't understood (so nothing is silently guessed).
+     * Root and bass keep the spelling they were typed with ("Db" stays "Db").
+     */
+    parse(text) {
+        const input = String(text || '').trim().replace(/♯/g, '#').replace(/♭/g, 'b').replace(/\s+/g, '');
+        const rootMatch = input.match(/^([A-Ga-g])(#|b)?/);
+        if (!rootMatch) return null;
+        const root = rootMatch[1].toUpperCase() + (rootMatch[2] || '');
+
+        // "6/9" is a chord; any other "/" introduces the bass note
+        let rest = input.slice(rootMatch[0].length).replace(/6\/9/g, '69');
+        let bass = null;
+        const slash = rest.match(/\/([A-Ga-g][#b]?)$/);
+        if (slash) {
+            bass = slash[1].charAt(0).toUpperCase() + slash[1].slice(1);
+            rest = rest.slice(0, -slash[0].length);
+        }
+        const suffix = rest;
+        const tones = this.readQuality(rest.replace(/[(),]/g, ''));
+        if (!tones) return null;
+
+        const formula = this.order(tones);
+        return {
+            root,
+            bass,
+            type: this.typeOf(formula),
+            suffix,
+            formula,
+            intervals: formula.map(d => this.semitones(d))
+        };
+    },
+
+    // Formula of a chord suffix ("m7b5", "maj9#11", "7sus4b9"), or null
+    readQuality(text) {
+        let s = text;
+        const take = (pattern) => {
+            const m = s.match(pattern);
+            if (m) s = s.slice(m[0].length);
+            return m;
+        };
+        const MAJOR = /^(maj|Maj|MAJ|M|Δ|∆|△)/;
+
+        if (take(/^5$/)) return ['1', '5'];
+
+        let third = '3';
+        let fifth = '5';
+        let seventh = null;
+        const extra = [];
+
+        // Quality; "maj" can follow a minor ("mMaj7", "m(maj7)")
+        if (take(/^(ø|half-?dim)7?/)) { third = 'b3'; fifth = 'b5'; seventh = 'b7'; }
+        else if (take(/^(dim|°|o(?!mit))7/)) { third = 'b3'; fifth = 'b5'; seventh = 'bb7'; }
+        else if (take(/^(dim|°|o(?!mit))/)) { third = 'b3'; fifth = 'b5'; }
+        else if (take(/^(aug|\+)(?![59]|1[13])/)) fifth = '#5';
+        else if (take(/^(min|mi|m|-)(?!aj)/)) third = 'b3';
+        take(/^dom/);
+        const major = take(MAJOR);
+
+        // Extension: 6, 6/9, 2 (an added 9th, as charts write "C2"),
+        // or a 7th with everything below it (13 leaves the 11 to minor chords)
+        const ext = take(/^(69|6|7|9|11|13|2)/);
+        const n = ext ? parseInt(ext[1], 10) : 0;
+        if (n === 2) {
+            extra.push('9');
+        } else if (n === 6 || n === 69) {
+            extra.push('6');
+            if (n === 69) extra.push('9');
+        } else if (n) {
+            if (!seventh) seventh = major ? '7' : 'b7';
+            if (n >= 9) extra.push('9');
+            if (n === 11 || (n === 13 && third === 'b3')) extra.push('11');
+            if (n === 13) extra.push('13');
+        } else if (major && (third === 'b3' || /[Δ∆△]/.test(major[1]))) {
+            seventh = '7'; // "C∆", "Cm(maj)"; a bare "Cmaj" is C major
+        }
+
+        // Modifiers, in any order
+        let m;
+        while (s.length) {
+            if ((m = take(/^sus(2|4)?/))) third = m[1] === '2' ? '2' : '4';
+            else if ((m = take(/^add([b#]?)(2|4|6|9|11|13)/))) extra.push(m[1] + m[2]);
+            else if ((m = take(/^(no|omit)(3|5)/))) { if (m[2] === '3') third = null; else fifth = null; }
+            else if ((m = take(/^([b#+-])(5|9|11|13)/))) {
+                const degree = ({ '+': '#', '-': 'b' }[m[1]] || m[1]) + m[2];
+                if (m[2] === '5' && fifth === '5') fifth = degree;
+                else {
+                    if (extra.includes(m[2])) extra.splice(extra.indexOf(m[2]), 1); // "13b9": the b9 replaces the 9
+                    extra.push(degree);
+                }
+            } else if (take(/^alt/)) {
+                if (!seventh) seventh = 'b7';
+                fifth = null;
+                extra.push('b9', '#9', '#11', 'b13');
+            } else return null;
+        }
+        return ['1', third, fifth, seventh, ...extra].filter(Boolean);
+    },
+
+    // Degrees sorted up from the root, no repeats
+    order(tones) {
+        const number = d => parseInt(d.replace(/^[b#]+/, ''), 10);
+        return [...new Set(tones)].sort((a, b) => number(a) - number(b) || this.semitones(a) - this.semitones(b));
+    },
+
+    // Vocabulary key with exactly this formula, or null
+    typeOf(formula) {
+        const key = formula.slice().sort().join(' ');
+        return Object.keys(this.TYPES).find(k => this.TYPES[k].formula.slice().sort().join(' ') === key) || null;
+    }
+};
+
+if (typeof module !== 'undefined') module.exports = ChordSymbols;
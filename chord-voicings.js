@@ -0,0 +1,204 @@
+/**
+ * Chord Voicings
+ * Every playable fingering of a chord on any tuning, ranked easiest first. DOM-free.
+ *
+ * The search walks the strings (lowest course first, as the tuning lists them) and gives each one
+ * a chord tone or a mute, dropping a branch as soon as it can't meet the constraints:
+ *   { maxFret, maxSpan, maxFingers, maxMuted, minStrings, required, mute, bass, limit }
+ * span = frets covered by the fretted notes, fingers allow one barre (see fingering),
+ * required = intervals that must sound (default: all of them, the 5th is optional on 4+ note chords),
+ * mute = string indexes that must stay silent, bass = interval the lowest note must be (slash chords;
+ * a bass outside the chord is only played as the lowest note), limit = most voicings returned.
+ *
+ * Voicing: { frets, baseFret, fingers, span, barre, intervals, bass, score }
+ *   frets: one per string, -1 = muted; intervals: semitones above the root per string (null = muted)
+ *   barre: { fret, from, to } or null (see fingering); bass: interval of the lowest sounding note; lower score = easier
+ */
+
+// Script tags share their globals; Node needs the modules required explicitly
+const ChordVoicingsDeps = typeof module !== 'undefined' && typeof require === 'function'
+    ? { PitchCore: require('./pitch-core.js'), Courses: require('./courses.js') }
+    : { PitchCore, Courses };
+
+const ChordVoicings = {
+    DEFAULTS: { maxFret: 15, maxSpan: 4, maxFingers: 4, maxMuted: null, minStrings: 3, required: null, mute: [], bass: null, limit: 100 },
+    MAX_FRET: 24,
+    MAX_SPAN: 6,
+    OPTIONAL: [7], // The 5th adds least; left out first when a chord has more notes than hands
+
+    // Playability penalties, summed into score
+    WEIGHTS: {
+        span: 1,          // per fret covered beyond the first
+        finger: 1,        // per finger down
+        barre: 1,
+        muted: 2,         // per muted string (fuller chords first)
+        innerMute: 2.5,   // per muted string between sounding ones (hard to strum)
+        open: -0.25,      // per open string
+        position: 0.5,    // per fret up the neck past the first three
+        missing: 1.5,     // per chord tone left out
+        inversion: 5      // root not in the bass (when no bass is asked for)
+    },
+
+    // Semitone index of each course's main string ("E2/E3" -> E2); null if any note doesn't parse
+    openPitches(notes) {
+        const pitches = notes.map(entry => ChordVoicingsDeps.PitchCore.noteIndex(ChordVoicingsDeps.Courses.parse(entry)[0]));
+        return pitches.includes(-1) ? null : pitches;
+    },
+
+    normalize(options, stringCount) {
+        const o = { ...this.DEFAULTS, ...(options || {}) };
+        const int = (value, min, max, fallback) => {
+            const n = parseInt(value, 10);
+            return isNaN(n) ? fallback : Math.max(min, Math.min(max, n));
+        };
+        return {
+            maxFret: int(o.maxFret, 1, this.MAX_FRET, this.DEFAULTS.maxFret),
+            maxSpan: int(o.maxSpan, 1, this.MAX_SPAN, this.DEFAULTS.maxSpan),
+            maxFingers: int(o.maxFingers, 1, 4, this.DEFAULTS.maxFingers),
+            maxMuted: o.maxMuted === null || o.maxMuted === '' ? stringCount : int(o.maxMuted, 0, stringCount, stringCount),
+            minStrings: int(o.minStrings, 1, stringCount, Math.min(this.DEFAULTS.minStrings, stringCount)),
+            required: Array.isArray(o.required) ? o.required.map(i => ((i % 12) + 12) % 12) : null,
+            mute: Array.isArray(o.mute) ? o.mute.filter(i => i >= 0 && i < stringCount) : [],
+            bass: o.bass === null || o.bass === '' || isNaN(parseInt(o.bass, 10)) ? null : ((parseInt(o.bass, 10) % 12) + 12) % 12,
+            limit: int(o.limit, 1, Infinity, this.DEFAULTS.limit)
+        };
+    },
+
+    // Intervals that must sound when the caller doesn't say
+    requiredIntervals(intervals) {
+        const classes = [...new Set(intervals.map(i => i % 12))];
+        return classes.length > 3 ? classes.filter(i => !this.OPTIONAL.includes(i)) : classes;
+    },
+
+    /**
+     * Fingers needed for a set of frets: one per fretted note, or, when that's more than `hand`,
+     * one barre plus one per note it doesn't hold. A barre lies across one fret from the highest
+     * string at that fret down to the first string fretted below it, holding every string at its fret.
+     * Returns { fingers, barre }, barre = { fret, from, to } (string indexes) or null.
+     */
+    fingering(frets, hand = 4) {
+        const fretted = frets.filter(f => f > 0);
+        let best = { fingers: fretted.length, barre: null };
+        if (fretted.length <= hand) return best;
+
+        [...new Set(fretted)].forEach(fret => {
+            const to = frets.lastIndexOf(fret);
+            let from = to;
+            while (from > 0 && frets[from - 1] >= fret) from--;
+            const held = frets.slice(from, to + 1).filter(f => f === fret).length;
+            const fingers = 1 + fretted.length - held;
+            if (held > 1 && fingers < best.fingers) best = { fingers, barre: { fret, from, to } };
+        });
+        return best;
+    },
+
+    /**
+     * The easiest voicings (up to limit) of the chord (root 0-11, intervals in semitones) on strings
+     * tuned to `pitches` (see openPitches), easiest first.
+     */
+    search(pitches, root, intervals, options = {}) {
+        const o = this.normalize(options, pitches.length);
+        const chord = [...new Set(intervals.map(i => i % 12))];
+        const required = o.required ? [...new Set(o.required)] : this.requiredIntervals(intervals);
+        const voicings = [];
+        const frets = [];
+
+        // Frets of each string that land on a chord tone (or the bass)
+        const tones = o.bass === null || chord.includes(o.bass) ? chord : [...chord, o.bass];
+        const choices = pitches.map((open, s) => {
+            if (o.mute.includes(s)) return [-1];
+            const list = [-1];
+            for (let f = 0; f <= o.maxFret; f++) {
+                if (tones.includes((((open + f - root) % 12) + 12) % 12)) list.push(f);
+            }
+            return list;
+        });
+
+        // Running counts of the strings so far: sounding strings per interval, fretted notes per fret
+        const heard = new Array(12).fill(0);
+        const atFret = new Array(o.maxFret + 1).fill(0);
+
+        const walk = (s, low, high, muted, fretted, missing) => {
+            // Give up on a branch the strings left can't rescue
+            const left = pitches.length - s;
+            if (s - muted + left < o.minStrings || missing > left) return;
+            // More notes than fingers: even a barre over the most-used fret leaves one finger per other note
+            if (fretted > o.maxFingers && 1 + fretted - Math.max(...atFret) > o.maxFingers) return;
+
+            if (s === pitches.length) {
+                const voicing = this.evaluate(pitches, root, chord, required, frets, o);
+                if (voicing) voicings.push(voicing);
+                return;
+            }
+            choices[s].forEach(f => {
+                if (f === -1) {
+                    if (muted >= o.maxMuted) return;
+                    frets.push(f);
+                    walk(s + 1, low, high, muted + 1, fretted, missing);
+                    frets.pop();
+                    return;
+                }
+                const newLow = f > 0 ? Math.min(low, f) : low;
+                const newHigh = f > 0 ? Math.max(high, f) : high;
+                if (f > 0 && newHigh - newLow + 1 > o.maxSpan) return;
+                const interval = (((pitches[s] + f - root) % 12) + 12) % 12;
+                frets.push(f);
+                const step = f > 0 ? 1 : 0;
+                const found = heard[interval] === 0 && required.includes(interval) ? 1 : 0;
+                heard[interval]++;
+                atFret[f] += step;
+                walk(s + 1, newLow, newHigh, muted, fretted + step, missing - found);
+                atFret[f] -= step;
+                heard[interval]--;
+                frets.pop();
+            });
+        };
+        walk(0, Infinity, -Infinity, 0, 0, required.length);
+
+        voicings.sort((a, b) => a.score - b.score || a.baseFret - b.baseFret || a.frets.join().localeCompare(b.frets.join()));
+        return voicings.slice(0, o.limit);
+    },
+
+    // Voicing for a finished set of frets, or null if it breaks a constraint
+    evaluate(pitches, root, chord, required, frets, o) {
+        const sounding = frets.map((f, s) => (f === -1 ? null : pitches[s] + f));
+        const notes = sounding.filter(p => p !== null);
+        if (notes.length < o.minStrings) return null;
+
+        const intervals = sounding.map(p => (p === null ? null : (((p - root) % 12) + 12) % 12));
+        const present = new Set(intervals.filter(i => i !== null));
+        if (required.some(i => !present.has(i))) return null;
+
+        const bass = (((Math.min(...notes) - root) % 12) + 12) % 12;
+        if (o.bass !== null && bass !== o.bass) return null;
+        if (o.bass !== null && !chord.includes(o.bass) && intervals.filter(i => i === o.bass).length > 1) return null;
+
+        const { fingers, barre } = this.fingering(frets, o.maxFingers);
+        if (fingers > o.maxFingers) return null;
+
+        const fretted = frets.filter(f => f > 0);
+        const baseFret = fretted.length ? Math.min(...fretted) : 1;
+        const span = fretted.length ? Math.max(...fretted) - baseFret + 1 : 0;
+
+        // Mutes with sounding strings on both sides
+        const firstSounding = frets.findIndex(f => f !== -1);
+        const lastSounding = frets.length - 1 - [...frets].reverse().findIndex(f => f !== -1);
+        const innerMutes = frets.filter((f, s) => f === -1 && s > firstSounding && s < lastSounding).length;
+        const muted = frets.filter(f => f === -1).length;
+
+        const w = this.WEIGHTS;
+        const score = w.span * Math.max(0, span - 1)
+            + w.finger * fingers
+            + (barre !== null ? w.barre : 0)
+            + w.muted * muted
+            + w.innerMute * innerMutes
+            + w.open * frets.filter(f => f === 0).length
+            + w.position * Math.max(0, baseFret - 3)
+            + w.missing * chord.filter(i => !present.has(i)).length
+            + (bass !== 0 && o.bass === null ? w.inversion : 0);
+
+        return { frets: [...frets], baseFret, fingers, span, barre, intervals, bass, score: Math.round(score * 100) / 100 };
+    }
+};
+
+if (typeof module !== 'undefined') module.exports = ChordVoicings;
@@ -0,0 +1,84 @@
+/**
+ * Click Layers
+ * Polyrhythms for the metronome: independent layers that each split the bar into their own number
+ * of clicks (3 against 2 = divisions 3 and 2), with a sound and stereo pan per layer. DOM- and audio-free;
+ * the metronome plays timeline() as one merged stream, so coinciding clicks land on the same event.
+ *
+ * Config: { enabled, layers: [{ division, sound, pan }] }
+ */
+
+const ClickLayers = {
+    MAX_LAYERS: 4,
+    MAX_DIVISION: 16,
+    // Oscillator click per sound; a layer's first click of the bar is played louder
+    SOUNDS: {
+        low: { label: 'Low Beep', type: 'sine', freq: 500 },
+        beep: { label: 'Beep', type: 'sine', freq: 1000 },
+        wood: { label: 'Woodblock', type: 'triangle', freq: 1800 },
+        tick: { label: 'Tick', type: 'square', freq: 2600 }
+    },
+    ACCENT_GAIN: 0.8,
+    GAIN: 0.5,
+    DEFAULT_LAYERS: [
+        { division: 3, sound: 'wood', pan: 0.4 },
+        { division: 2, sound: 'low', pan: -0.4 }
+    ],
+
+    normalizeLayer(layer) {
+        const l = layer || {};
+        const division = parseInt(l.division, 10);
+        const pan = parseFloat(l.pan);
+        return {
+            division: division >= 1 ? Math.min(this.MAX_DIVISION, division) : 1,
+            sound: this.SOUNDS[l.sound] ? l.sound : 'beep',
+            pan: isFinite(pan) ? Math.max(-1, Math.min(1, pan)) : 0
+        };
+    },
+
+    normalize(config) {
+        const c = config || {};
+        const layers = Array.isArray(c.layers) && c.layers.length ? c.layers : this.DEFAULT_LAYERS;
+        return {
+            enabled: c.enabled === true,
+            layers: layers.slice(0, this.MAX_LAYERS).map(l => this.normalizeLayer(l))
+        };
+    },
+
+    // e.g. "3:2"
+    ratio(layers) {
+        return layers.map(l => l.division).join(':');
+    },
+
+    gcd(a, b) {
+        return b === 0 ? a : this.gcd(b, a % b);
+    },
+
+    lcm(a, b) {
+        return a / this.gcd(a, b) * b;
+    },
+
+    /**
+     * Every click of one bar in time order: [{ at, hits: [{ layer, index }] }], at = fraction of the bar.
+     * Positions are compared on the layers' common grid (lcm of the divisions), so coinciding clicks
+     * merge exactly into one event.
+     */
+    timeline(layers) {
+        const grid = layers.reduce((acc, l) => this.lcm(acc, l.division), 1);
+        const events = new Map();
+        layers.forEach((l, layer) => {
+            for (let index = 0; index < l.division; index++) {
+                const tick = index * grid / l.division;
+                if (!events.has(tick)) events.set(tick, { at: tick / grid, hits: [] });
+                events.get(tick).hits.push({ layer, index });
+            }
+        });
+        return [...events.entries()].sort((a, b) => a[0] - b[0]).map(([, e]) => e);
+    },
+
+    // Timeline events where two or more layers click together
+    coincidences(layers) {
+        return this.timeline(layers).filter(e => e.hits.length > 1);
+    }
+};
+
+if (typeof module !== 'undefined') module.exports = ClickLayers;
@@ -0,0 +1,76 @@
+/**
+ * String Courses
+ * DOM-free, index-based string model shared by both tuners.
+ *
+ * A tuning is a list of courses, lowest first. A course is one note ("E2") or several
+ * strings played together, written with "/" and the main string first:
+ *   "E2/E3" - octave pair (12-string low courses), "A4/A4" - unison pair (mandolin).
+ * Because targets are kept by position, repeated notes (Balalaika E4 E4 A4) stay separate strings.
+ *
+ * Built target shape:
+ *   { index, label, note, freq, min, max, partners: [{ note, freq, min, max }] }
+ * note/freq/min/max describe the main string; partners are the rest of the course.
+ */
+
+const Courses = {
+    SEPARATOR: '/',
+    WINDOW: 0.15, // +/- fraction of the target accepted as "this string"
+
+    parse(entry) {
+        return String(entry).split(this.SEPARATOR).map(n => n.trim()).filter(Boolean);
+    },
+
+    // noteFreq(note, index) gives the target for a note on course `index` (temperament, string offsets)
+    build(tuning, noteFreq, windowFraction = this.WINDOW) {
+        return tuning.map((entry, index) => {
+            const [note, ...rest] = this.parse(entry);
+            const target = (n) => {
+                const freq = noteFreq(n, index);
+                return { note: n, freq, min: freq * (1 - windowFraction), max: freq * (1 + windowFraction) };
+            };
+            return { index, label: String(entry), ...target(note), partners: rest.map(target) };
+        });
+    },
+
+    // Every string of every course, for range calculations
+    members(strings) {
+        return strings.flatMap(s => [s, ...(s.partners || [])]);
+    },
+
+    // String of a course whose window holds freq (closest one if windows overlap), or null
+    match(course, freq) {
+        let best = null;
+        [course, ...(course.partners || [])].forEach(m => {
+            if (freq >= m.min && freq <= m.max &&
+                (!best || Math.abs(freq - m.freq) < Math.abs(freq - best.freq))) best = m;
+        });
+        return best;
+    },
+
+    // { index, note, freq } of the string nearest to freq (in cents), across all courses.
+    // Nearest rather than first in-window: a 12-string's octave partners overlap the next courses.
+    detect(strings, freq) {
+        let closest = null;
+        let minDiff = Infinity;
+
+        strings.forEach(s => {
+            [s, ...(s.partners || [])].forEach(m => {
+                const diff = Math.abs(Math.log2(freq / m.freq));
+                if (diff < minDiff) {
+                    minDiff = diff;
+                    closest = { index: s.index, note: m.note, freq: m.freq };
+                }
+            });
+        });
+        return closest;
+    },
+
+    // Short mark for a course button: "8va" for an octave partner, "×2" for unison pairs
+    mark(course) {
+        if (!course.partners || course.partners.length === 0) return '';
+        const octave = course.partners.some(p => Math.abs(p.freq / course.freq - 2) < 0.1);
+        return octave ? '8va' : `×${course.partners.length + 1}`;
+    }
+};
+
+if (typeof module !== 'undefined') module.exports = Courses;
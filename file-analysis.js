@@ -0,0 +1,224 @@
+/**
+ * File Analysis
+ * Offline tuning check of a recording (WAV/OGG, Jam recordings): every frame goes through
+ * the tuner's own detector and noise gate, readings are grouped into notes and summarised.
+ * Needs an AudioContext only to decode; the analysis itself is DOM-free apart from draw().
+ * Requires audio-input.js, noise-gate.js and pitch-core.js.
+ *
+ * Report shape:
+ *   { name, sampleRate, duration,
+ *     frames: [{ time, freq, note, target, cents }],          freq -1 / note null = no reading
+ *     notes: [{ note, target, start, end, freq, cents, spread, frames }],
+ *     summary: { notes, inTune, meanAbsCents, worst } }
+ */
+
+const FileAnalysis = {
+    ACCEPT: 'audio/*,.wav,.ogg,.oga,.opus,.webm',
+    HOP_TIME: 0.02,       // s between frames (about the live frame rate)
+    MIN_NOTE_TIME: 0.15,  // s; shorter runs are dropped as glitches
+    MAX_GAP_TIME: 0.1,    // s of missing readings bridged inside one note
+    TOLERANCE: 5,         // Cents counted as in tune (the tuner's tunedTolerance)
+    YIELD_FRAMES: 200,    // Frames between pauses so the page stays responsive
+
+    // Decodes a file's bytes to mono samples
+    async decode(ctx, arrayBuffer) {
+        const audio = await new Promise((resolve, reject) => {
+            // Callback form as well: older Safari has no promise-based decodeAudioData
+            const p = ctx.decodeAudioData(arrayBuffer, resolve, reject);
+            if (p && p.then) p.then(resolve, reject);
+        });
+
+        const samples = new Float32Array(audio.length);
+        for (let c = 0; c < audio.numberOfChannels; c++) {
+            const data = audio.getChannelData(c);
+            for (let i = 0; i < data.length; i++) samples[i] += data[i] / audio.numberOfChannels;
+        }
+        return { samples, sampleRate: audio.sampleRate, duration: audio.length / audio.sampleRate };
+    },
+
+    // Frame size and lag window for a detection range, sized the same way as the live analyser
+    plan(sampleRate, range) {
+        return PitchCore.plan(sampleRate, range);
+    },
+
+    /**
+     * options:
+     *   name, range { minFreq, maxFreq, minBufferSize, maxBufferSize },
+     *   detect(buf, sampleRate, rms, lags) -> { freq }   the tuner's detector (clarity-gated)
+     *   match(freq) -> { note, freq } | null              the tuner's target for a reading
+     *   onProgress(fraction)                              optional
+     */
+    async analyse(samples, sampleRate, options) {
+        const { size, lags } = this.plan(sampleRate, options.range);
+        const hop = Math.max(1, Math.round(this.HOP_TIME * sampleRate));
+        const dt = hop / sampleRate * 1000;
+        const frame = new Float32Array(size);
+        const frames = [];
+
+        // Adaptive gate as live; a file starts from silence, so a note at 0:00 is an onset
+        const gate = NoiseGate.createState({ mode: 'adaptive' });
+        gate.envelope = NoiseGate.MIN_FLOOR;
+
+        const count = Math.max(0, Math.floor((samples.length - size) / hop) + 1);
+        for (let n = 0; n < count; n++) {
+            const start = n * hop;
+            frame.set(samples.subarray(start, start + size));
+            const level = AudioInput.level(frame);
+            const listening = NoiseGate.update(gate, level.rms, dt);
+
+            const freq = listening ? options.detect(frame, sampleRate, level.rms, lags).freq : -1;
+            const target = freq > 0 ? options.match(freq) : null;
+            frames.push({
+                time: (start + size / 2) / sampleRate,
+                freq,
+                note: target ? target.note : null,
+                target: target ? target.freq : null,
+                cents: target ? 1200 * Math.log2(freq / target.freq) : null
+            });
+
+            if (n % this.YIELD_FRAMES === this.YIELD_FRAMES - 1) {
+                if (options.onProgress) options.onProgress(n / count);
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        }
+        if (options.onProgress) options.onProgress(1);
+
+        const notes = this.groupNotes(frames);
+        return {
+            name: options.name || 'Recording',
+            sampleRate,
+            duration: samples.length / sampleRate,
+            frames,
+            notes,
+            summary: this.summarise(notes)
+        };
+    },
+
+    // Runs of the same target (small dropouts bridged) become notes
+    groupNotes(frames) {
+        const notes = [];
+        let run = null;
+        let lastTime = -Infinity;
+
+        const close = () => {
+            if (run && run.end - run.start >= this.MIN_NOTE_TIME) notes.push(this.describeNote(run));
+            run = null;
+        };
+
+        frames.forEach(f => {
+            if (!f.note) return;
+            if (!run || f.note !== run.note || f.time - lastTime > this.MAX_GAP_TIME + this.HOP_TIME) {
+                close();
+                run = { note: f.note, target: f.target, start: f.time, end: f.time, readings: [] };
+            }
+            run.end = f.time;
+            run.readings.push(f);
+            lastTime = f.time;
+        });
+        close();
+        return notes;
+    },
+
+    // Median reading of a run; spread = 10th..90th percentile range of its cents
+    describeNote(run) {
+        const cents = run.readings.map(f => f.cents).sort((a, b) => a - b);
+        const freqs = run.readings.map(f => f.freq).sort((a, b) => a - b);
+        const pick = (list, q) => list[Math.floor((list.length - 1) * q)];
+        return {
+            note: run.note,
+            target: run.target,
+            start: run.start,
+            end: run.end,
+            freq: pick(freqs, 0.5),
+            cents: pick(cents, 0.5),
+            spread: pick(cents, 0.9) - pick(cents, 0.1),
+            frames: run.readings.length
+        };
+    },
+
+    summarise(notes) {
+        const inTune = notes.filter(n => Math.abs(n.cents) <= this.TOLERANCE).length;
+        const meanAbsCents = notes.length ? notes.reduce((sum, n) => sum + Math.abs(n.cents), 0) / notes.length : 0;
+        const worst = notes.reduce((w, n) => (!w || Math.abs(n.cents) > Math.abs(w.cents) ? n : w), null);
+        return {
+            notes: notes.length,
+            inTune,
+            meanAbsCents,
+            worst: worst ? { note: worst.note, start: worst.start, cents: worst.cents } : null
+        };
+    },
+
+    toCSV(report) {
+        const rows = [['note', 'start_s', 'end_s', 'frequency_hz', 'target_hz', 'cents', 'spread_cents', 'in_tune']];
+        report.notes.forEach(n => rows.push([
+            n.note, n.start.toFixed(2), n.end.toFixed(2), n.freq.toFixed(2), n.target.toFixed(2),
+            n.cents.toFixed(1), n.spread.toFixed(1), Math.abs(n.cents) <= this.TOLERANCE ? 'yes' : 'no'
+        ]));
+        return rows.map(r => r.join(',')).join('\n') + '\n';
+    },
+
+    toJSON(report) {
+        return JSON.stringify({
+            name: report.name,
+            duration: report.duration,
+            summary: report.summary,
+            notes: report.notes,
+            // Pitch track: [time s, frequency Hz] of every reading
+            track: report.frames.filter(f => f.freq > 0).map(f => [+f.time.toFixed(3), +f.freq.toFixed(2)])
+        }, null, 2);
+    },
+
+    // Pitch over time on a log-frequency axis, with the detected notes' targets as guide lines
+    draw(canvas, report, colors) {
+        const ctx = canvas.getContext('2d');
+        const w = canvas.width;
+        const h = canvas.height;
+        ctx.clearRect(0, 0, w, h);
+        if (colors.background) {
+            ctx.fillStyle = colors.background;
+            ctx.fillRect(0, 0, w, h);
+        }
+
+        const readings = report.frames.filter(f => f.note);
+        if (readings.length === 0 || report.duration <= 0) {
+            ctx.fillStyle = colors.text;
+            ctx.font = '12px sans-serif';
+            ctx.textAlign = 'center';
+            ctx.fillText('No notes detected', w / 2, h / 2);
+            return;
+        }
+
+        // A long recording has too many readings to spread into Math.min/max
+        const logs = readings.map(f => Math.log2(f.freq));
+        const lo = logs.reduce((m, v) => Math.min(m, v), Infinity) - 1 / 12;
+        const hi = logs.reduce((m, v) => Math.max(m, v), -Infinity) + 1 / 12;
+        const x = t => t / report.duration * w;
+        const y = f => h - (Math.log2(f) - lo) / (hi - lo) * h;
+
+        // Target lines
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'left';
+        const targets = new Map(report.notes.map(n => [n.note, n.target]));
+        targets.forEach((freq, note) => {
+            ctx.strokeStyle = colors.text;
+            ctx.globalAlpha = 0.3;
+            ctx.beginPath();
+            ctx.moveTo(0, y(freq));
+            ctx.lineTo(w, y(freq));
+            ctx.stroke();
+            ctx.globalAlpha = 1;
+            ctx.fillStyle = colors.text;
+            ctx.fillText(note, 2, y(freq) - 2);
+        });
+
+        // Readings, coloured by whether they're in tune
+        readings.forEach(f => {
+            ctx.fillStyle = Math.abs(f.cents) <= this.TOLERANCE ? colors.inTune : colors.band;
+            ctx.fillRect(x(f.time) - 1, y(f.freq) - 1, 2, 2);
+        });
+
+        ctx.fillStyle = colors.text;
+        ctx.textAlign = 'right';
+        ctx.fillText(`${report.duration.toFixed(1)} s`, w - 2, h - 2);
+    }
+};
@@ -0,0 +1,84 @@
+/**
+ * Gap Trainer
+ * Internal-time practice for the metronome: the click plays some bars, then drops out for some bars
+ * while the player keeps going. Fixed cycles (play 2, mute 2) or random gaps. DOM- and audio-free;
+ * the metronome calls nextBar() for every bar and keeps scheduling (silently) through the gaps.
+ *
+ * Config: { enabled, play, mute, mode: 'cycle' | 'random', chance }
+ * State:  { played, gapLeft, muted, returned }
+ *
+ * Drift is measured with the mic: the player's offset from the silent grid in the gap's last bar,
+ * minus their offset in the last bar with the click. Subtracting that baseline cancels the audio
+ * latency and the player's usual feel, leaving only how far they wandered without the click.
+ */
+
+const GapTrainer = {
+    DEFAULTS: { enabled: false, play: 2, mute: 2, mode: 'cycle', chance: 50 },
+    MODES: { cycle: 'Fixed Cycle', random: 'Random Gaps' },
+    MAX_BARS: 16,
+    ON_TIME: 10, // ms of drift still reported as on time
+
+    normalize(config) {
+        const c = { ...this.DEFAULTS, ...(config || {}) };
+        const bars = (value, fallback) => {
+            const n = parseInt(value, 10);
+            return n >= 1 ? Math.min(this.MAX_BARS, n) : fallback;
+        };
+        const chance = parseFloat(c.chance);
+        return {
+            enabled: c.enabled === true,
+            play: bars(c.play, this.DEFAULTS.play),
+            mute: bars(c.mute, this.DEFAULTS.mute),
+            mode: this.MODES[c.mode] ? c.mode : 'cycle',
+            chance: isFinite(chance) ? Math.max(1, Math.min(100, Math.round(chance))) : this.DEFAULTS.chance
+        };
+    },
+
+    createState() {
+        return {
+            played: 0,        // Bars with the click since the last gap
+            gapLeft: 0,       // Muted bars still to come in the current gap
+            muted: false,     // Current bar is silent
+            returned: false   // Current bar is the first with the click after a gap
+        };
+    },
+
+    /**
+     * Called at the start of every bar (including the first). Returns true when the bar is silent.
+     * Gaps only start after `play` bars with the click; a fixed cycle always mutes `mute` bars, random
+     * mode starts a gap with `chance`% per bar and makes it 1 to `mute` bars long.
+     */
+    nextBar(state, config, random = Math.random) {
+        const wasMuted = state.muted;
+        if (state.gapLeft > 0) {
+            state.gapLeft--;
+            state.muted = true;
+        } else if (state.played >= config.play && (config.mode === 'cycle' || random() * 100 < config.chance)) {
+            const length = config.mode === 'cycle' ? config.mute : 1 + Math.floor(random() * config.mute);
+            state.gapLeft = length - 1;
+            state.muted = true;
+        } else {
+            state.muted = false;
+        }
+
+        state.played = state.muted ? 0 : state.played + 1;
+        state.returned = wasMuted && !state.muted;
+        return state.muted;
+    },
+
+    // ms drifted over the gap (positive = late/dragging), or null without onsets in the gap
+    drift(gapOffset, baseOffset) {
+        if (gapOffset === null) return null;
+        return gapOffset - (baseOffset === null ? 0 : baseOffset);
+    },
+
+    // e.g. "Drifted 35 ms late (dragging)"
+    describeDrift(ms) {
+        if (ms === null) return 'No playing heard in the gap';
+        const amount = Math.round(Math.abs(ms));
+        if (amount <= this.ON_TIME) return `On time (${amount} ms)`;
+        return ms > 0 ? `Drifted ${amount} ms late (dragging)` : `Drifted ${amount} ms early (rushing)`;
+    }
+};
+
+if (typeof module !== 'undefined') module.exports = GapTrainer;
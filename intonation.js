@@ -0,0 +1,147 @@
+/**
+ * Intonation Setup
+ * DOM-free guided workflow shared by both tuners.
+ *
+ * For each string (low to high) the player plays the open string, then the same string
+ * fretted at the 12th. The fretted note is compared against the octave of the measured
+ * open note, so a slightly out-of-tune string doesn't skew the result.
+ *
+ * A session is a plain object (see createSession) so it can be stored as-is in a report.
+ */
+
+const Intonation = {
+    TOLERANCE: 2,         // Cents at the 12th fret that count as "intonated"
+    CAPTURE_FRAMES: 30,   // Readings needed for a capture (~0.5s of animation frames)
+    STABLE_CENTS: 3,      // All readings of a capture must sit within this of their median
+    ACCEPT_CENTS: 50,     // Readings further than this from the expected note are ignored
+    MAX_REPORTS: 10,      // Kept per instrument
+
+    ADVICE: {
+        ok: 'In tune at the 12th fret',
+        back: 'Sharp at the 12th: move the saddle back (away from the neck)',
+        forward: 'Flat at the 12th: move the saddle forward (toward the neck)'
+    },
+
+    // targets: [{ note, freq }] lowest string first
+    createSession(instrument, tuning, targets) {
+        return {
+            instrument,
+            tuning,
+            date: new Date().toISOString(),
+            strings: targets.map(t => ({ note: t.note, target: t.freq, open: null, fret12: null })),
+            index: 0,     // String being measured
+            step: 'open', // 'open' | 'fret12'
+            samples: []
+        };
+    },
+
+    isComplete(session) {
+        return session.index >= session.strings.length;
+    },
+
+    // Frequency the current step is listening for
+    expectedFreq(session) {
+        const s = session.strings[session.index];
+        if (!s) return 0;
+        return session.step === 'open' ? s.target : (s.open || s.target) * 2;
+    },
+
+    // Highest note the session will ask for, so the tuner can widen its detection range
+    maxFrequency(session) {
+        return Math.max(...session.strings.map(s => (s.open || s.target) * 2));
+    },
+
+    // Feed one detected frequency (-1 for none). Returns true when a capture completed.
+    addReading(session, freq) {
+        if (this.isComplete(session)) return false;
+
+        const expected = this.expectedFreq(session);
+        if (freq <= 0 || Math.abs(1200 * Math.log2(freq / expected)) > this.ACCEPT_CENTS) {
+            session.samples = []; // Wrong note or silence: start the capture over
+            return false;
+        }
+
+        session.samples.push(freq);
+        if (session.samples.length < this.CAPTURE_FRAMES) return false;
+
+        // Wait until the note has settled (pick attack / fretting wobble)
+        const sorted = [...session.samples].sort((a, b) => a - b);
+        const median = sorted[Math.floor(sorted.length / 2)];
+        const settled = session.samples.every(f => Math.abs(1200 * Math.log2(f / median)) <= this.STABLE_CENTS);
+        if (!settled) {
+            session.samples.shift();
+            return false;
+        }
+
+        session.strings[session.index][session.step] = median;
+        session.samples = [];
+        if (session.step === 'open') {
+            session.step = 'fret12';
+        } else {
+            session.step = 'open';
+            session.index++;
+        }
+        return true;
+    },
+
+    // Jump back to a string and measure it again
+    retake(session, index) {
+        const s = session.strings[index];
+        if (!s) return;
+        s.open = null;
+        s.fret12 = null;
+        session.index = index;
+        session.step = 'open';
+        session.samples = [];
+    },
+
+    // Leave the current string unmeasured and move on
+    skip(session) {
+        if (this.isComplete(session)) return;
+        session.index++;
+        session.step = 'open';
+        session.samples = [];
+    },
+
+    // { cents, advice } for a measured string, or null if it wasn't measured
+    evaluate(string) {
+        if (!string.open || !string.fret12) return null;
+        const cents = 1200 * Math.log2(string.fret12 / (string.open * 2));
+        let advice = 'ok';
+        if (cents > this.TOLERANCE) advice = 'back'; // Sounding length too short
+        else if (cents < -this.TOLERANCE) advice = 'forward';
+        return { cents, advice };
+    },
+
+    // What the player should do right now
+    prompt(session) {
+        if (this.isComplete(session)) return 'All strings measured. Save the report or retake a string.';
+        const s = session.strings[session.index];
+        const label = `String ${session.index + 1} (${s.note})`;
+        return session.step === 'open'
+            ? `${label}: play the open string`
+            : `${label}: play it fretted at the 12th fret`;
+    },
+
+    // Snapshot of a session for storage; drops the capture state
+    toReport(session) {
+        return {
+            instrument: session.instrument,
+            tuning: session.tuning,
+            date: session.date,
+            strings: session.strings.map(s => ({ ...s, result: this.evaluate(s) }))
+        };
+    },
+
+    // reports: { [instrument]: [report, ...] } newest first
+    addReport(reports, report) {
+        const list = (reports[report.instrument] || []).filter(r => r.date !== report.date);
+        list.unshift(report);
+        reports[report.instrument] = list.slice(0, this.MAX_REPORTS);
+        return reports;
+    },
+
+    formatCents(cents) {
+        return `${cents > 0 ? '+' : ''}${cents.toFixed(1)}¢`;
+    }
+};
@@ -0,0 +1,133 @@
+/**
+ * Meter
+ * Time signatures, beat groupings and per-beat levels for the metronome. DOM- and audio-free.
+ *
+ * A meter is { signature: '7/8', beats: 7, unit: 8, groups: [2, 2, 3], levels: ['accent', 'ghost', ...] }:
+ * beats are counted in the signature's unit (BPM counts them too, so 7/8 at 180 = 180 eighths a minute),
+ * groups split the bar for the display and the default accents, levels has one entry per beat.
+ */
+
+const Meter = {
+    LEVELS: ['accent', 'normal', 'ghost', 'mute'],
+    LEVEL_LABELS: { accent: 'Accent', normal: 'Normal', ghost: 'Ghost', mute: 'Mute' },
+    // Click per level; 'sub' is a subdivision between beats
+    SOUNDS: {
+        accent: { freq: 1000, gain: 0.8 },
+        normal: { freq: 800, gain: 0.6 },
+        ghost: { freq: 800, gain: 0.15 },
+        sub: { freq: 600, gain: 0.3 }
+    },
+    UNITS: [1, 2, 4, 8, 16, 32],
+    MAX_BEATS: 32,
+    // Suggestions for the signature field; any beats/unit within range is accepted
+    SIGNATURES: ['2/4', '3/4', '4/4', '5/4', '6/4', '7/4', '2/2', '3/8', '5/8', '6/8', '7/8', '9/8', '10/8', '11/8', '12/8', '13/8', '15/16'],
+    DEFAULT_SIGNATURE: '4/4',
+
+    // "7/8" -> { beats: 7, unit: 8 }, or null
+    parseSignature(text) {
+        const m = String(text || '').trim().match(/^(\d+)\s*\/\s*(\d+)$/);
+        if (!m) return null;
+        const beats = parseInt(m[1], 10);
+        const unit = parseInt(m[2], 10);
+        if (beats < 1 || beats > this.MAX_BEATS || !this.UNITS.includes(unit)) return null;
+        return { beats, unit };
+    },
+
+    // "2+2+3" -> [2, 2, 3] if it adds up to the bar, else null
+    parseGroups(text, beats) {
+        const parts = String(text || '').split('+').map(p => p.trim());
+        if (parts.some(p => !/^\d+$/.test(p))) return null;
+        const groups = parts.map(p => parseInt(p, 10));
+        if (groups.some(g => g < 1)) return null;
+        return groups.reduce((sum, g) => sum + g, 0) === beats ? groups : null;
+    },
+
+    formatGroups(groups) {
+        return groups.join('+');
+    },
+
+    /**
+     * Usual grouping for a signature: quarter/half-note bars are one group; eighths and shorter go
+     * in threes when they divide (6/8, 9/8, 12/8), else in twos, odd bars closing with a three (7/8 = 2+2+3).
+     */
+    defaultGroups(beats, unit) {
+        if (unit <= 4 || beats <= 3) return [beats];
+        if (beats % 3 === 0) return new Array(beats / 3).fill(3);
+        if (beats % 2 === 0) return new Array(beats / 2).fill(2);
+        const groups = new Array(Math.floor((beats - 3) / 2)).fill(2);
+        return [...groups, beats - 2 * groups.length];
+    },
+
+    // Accent on one, normal on the other group starts, ghosts inside eighth-note groups
+    defaultLevels(groups, unit) {
+        const levels = [];
+        groups.forEach(size => {
+            for (let i = 0; i < size; i++) {
+                if (levels.length === 0) levels.push('accent');
+                else if (i === 0 || unit <= 4) levels.push('normal');
+                else levels.push('ghost');
+            }
+        });
+        return levels;
+    },
+
+    // Builds a meter; groups/levels fall back to the defaults when missing or not matching the bar
+    create(signature, groups, levels) {
+        const sig = this.parseSignature(signature) || this.parseSignature(this.DEFAULT_SIGNATURE);
+        const validGroups = Array.isArray(groups) && this.parseGroups(groups.join('+'), sig.beats);
+        const g = validGroups || this.defaultGroups(sig.beats, sig.unit);
+        const validLevels = Array.isArray(levels) && levels.length === sig.beats && levels.every(l => this.LEVELS.includes(l));
+        return {
+            signature: `${sig.beats}/${sig.unit}`,
+            beats: sig.beats,
+            unit: sig.unit,
+            groups: g,
+            levels: validLevels ? [...levels] : this.defaultLevels(g, sig.unit)
+        };
+    },
+
+    // Saved meter (or anything else) -> a valid meter, 4/4 by default
+    normalize(saved) {
+        const m = saved || {};
+        return this.create(m.signature, m.groups, m.levels);
+    },
+
+    // Short description, e.g. "7/8 (2+2+3)"
+    describe(meter) {
+        return meter.groups.length > 1 ? `${meter.signature} (${this.formatGroups(meter.groups)})` : meter.signature;
+    },
+
+    nextLevel(level) {
+        return this.LEVELS[(this.LEVELS.indexOf(level) + 1) % this.LEVELS.length];
+    },
+
+    // Index of each group's first beat
+    groupStarts(groups) {
+        const starts = [];
+        groups.reduce((pos, size) => {
+            starts.push(pos);
+            return pos + size;
+        }, 0);
+        return starts;
+    },
+
+    // Seconds per beat; BPM counts the signature's unit
+    beatSeconds(bpm) {
+        return 60 / bpm;
+    },
+
+    /**
+     * What to play for click `index` of a bar with `perBeat` clicks per beat.
+     * Returns { beat, level } with level one of LEVELS or 'sub'; subdivisions of a muted beat are muted.
+     * accent false plays accents as normal beats (the metronome's accent switch).
+     */
+    clickAt(meter, index, perBeat, accent = true) {
+        const beat = Math.floor(index / perBeat) % meter.beats;
+        let level = meter.levels[beat];
+        if (index % perBeat !== 0) level = level === 'mute' ? 'mute' : 'sub';
+        else if (level === 'accent' && !accent) level = 'normal';
+        return { beat, level };
+    }
+};
+
+if (typeof module !== 'undefined') module.exports = Meter;
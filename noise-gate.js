@@ -0,0 +1,147 @@
+/**
+ * Noise Gate
+ * DOM-free gate deciding which analysis frames are worth a pitch reading. Shared by both tuners.
+ *
+ * The gate thresholds sit a fixed ratio above the ambient noise floor, which is either
+ * measured once (calibrate) or tracked continuously (adaptive). The adaptive floor is the
+ * minimum level over the last few seconds: the gaps between notes are noise only, so it
+ * follows a fan switching on or off without learning the notes themselves.
+ * It opens only on a note onset (a jump well above the recent level, i.e. a pluck attack)
+ * and closes again below a lower threshold, so a decaying note doesn't flicker at the edge.
+ *
+ * State is a plain object (see createState); update() is called once per frame with the RMS.
+ */
+
+const NoiseGate = {
+    MODES: {
+        adaptive: 'Adaptive Gate',
+        calibrated: 'Calibrated Gate'
+    },
+    DEFAULT_FLOOR: 0.005,  // Until calibrated; opens at 0.015 RMS, the old fixed threshold
+    MIN_FLOOR: 0.0005,
+    MAX_FLOOR: 0.1,
+    OPEN_RATIO: 3,         // Open above floor x 3 (~ +9.5 dB)
+    CLOSE_RATIO: 1.8,      // Close below floor x 1.8 (~ +5 dB): the hysteresis band
+    ONSET_RATIO: 2,        // RMS must jump to twice the recent level (+6 dB) to count as an attack
+    ENVELOPE_TIME: 200,    // ms; how fast the "recent level" catches up with a rise
+    SETTLE_TIME: 50,       // ms after an onset before readings start (pick noise)
+    ADAPT_BLOCK: 1000,     // ms per minimum-tracking block
+    ADAPT_BLOCKS: 8,       // Blocks kept: a note held longer than this becomes the "floor"
+    CALIBRATION_TIME: 2000, // ms of ambient noise measured
+    CALIBRATION_PERCENTILE: 0.9, // Floor = this percentile of the measured RMS (ignores short bumps)
+
+    normalize(prefs) {
+        const p = { mode: 'adaptive', floor: this.DEFAULT_FLOOR, ...(prefs || {}) };
+        if (!this.MODES[p.mode]) p.mode = 'adaptive';
+        const floor = parseFloat(p.floor);
+        p.floor = isNaN(floor) ? this.DEFAULT_FLOOR : Math.max(this.MIN_FLOOR, Math.min(this.MAX_FLOOR, floor));
+        return p;
+    },
+
+    // prefs: { mode, floor } as stored
+    createState(prefs) {
+        const p = this.normalize(prefs);
+        return {
+            mode: p.mode,
+            floor: p.floor,
+            envelope: null,     // Recent level the onset is measured against (primed by the first frame)
+            blocks: [],         // Adaptive: minimum RMS of each finished block, oldest first
+            block: { min: Infinity, elapsed: 0 },
+            open: false,
+            onset: false,       // True on the frame the gate opened
+            settle: 0,          // ms left before readings start
+            calibration: null   // { samples, elapsed } while measuring
+        };
+    },
+
+    openLevel(state) {
+        return state.floor * this.OPEN_RATIO;
+    },
+
+    closeLevel(state) {
+        return state.floor * this.CLOSE_RATIO;
+    },
+
+    startCalibration(state) {
+        state.calibration = { samples: [], elapsed: 0 };
+        state.open = false;
+    },
+
+    // 0..1 progress of a running calibration, or null
+    calibrationProgress(state) {
+        return state.calibration ? Math.min(1, state.calibration.elapsed / this.CALIBRATION_TIME) : null;
+    },
+
+    // One frame. Returns true when this frame should be analysed for pitch.
+    update(state, rms, dt) {
+        state.onset = false;
+
+        if (state.calibration) {
+            const cal = state.calibration;
+            cal.samples.push(rms);
+            cal.elapsed += dt;
+            if (cal.elapsed >= this.CALIBRATION_TIME) {
+                const sorted = cal.samples.sort((a, b) => a - b);
+                const floor = sorted[Math.floor((sorted.length - 1) * this.CALIBRATION_PERCENTILE)];
+                state.floor = Math.max(this.MIN_FLOOR, Math.min(this.MAX_FLOOR, floor));
+                state.envelope = null;
+                state.blocks = []; // Adaptive tracking restarts from the measured floor
+                state.calibration = null;
+            }
+            return false;
+        }
+
+        // The first frame only sets the reference: starting in a loud room isn't an attack
+        if (state.envelope === null) state.envelope = Math.max(rms, this.MIN_FLOOR);
+        const attack = rms > state.envelope * this.ONSET_RATIO;
+
+        if (state.open) {
+            if (rms < this.closeLevel(state)) state.open = false;
+        } else if (attack && rms >= this.openLevel(state)) {
+            state.open = true;
+            state.onset = true;
+            state.settle = this.SETTLE_TIME;
+        }
+
+        // Recent level: follows drops at once, rises with a lag so an attack stands out
+        state.envelope = rms < state.envelope
+            ? rms
+            : state.envelope + (rms - state.envelope) * (1 - Math.exp(-dt / this.ENVELOPE_TIME));
+        state.envelope = Math.max(state.envelope, this.MIN_FLOOR);
+
+        if (state.mode === 'adaptive') this.trackFloor(state, rms, dt);
+
+        if (!state.open) return false;
+        if (state.settle > 0) {
+            state.settle -= dt;
+            return false;
+        }
+        return true;
+    },
+
+    // Minimum statistics: floor = quietest level over the last ADAPT_BLOCKS blocks
+    trackFloor(state, rms, dt) {
+        const block = state.block;
+        block.min = Math.min(block.min, rms);
+        block.elapsed += dt;
+        if (block.elapsed < this.ADAPT_BLOCK) return;
+
+        state.blocks.push(block.min);
+        if (state.blocks.length > this.ADAPT_BLOCKS) state.blocks.shift();
+        state.block = { min: Infinity, elapsed: 0 };
+        state.floor = Math.max(this.MIN_FLOOR, Math.min(this.MAX_FLOOR, Math.min(...state.blocks)));
+    },
+
+    // { mode, floor } to store
+    toPrefs(state) {
+        return { mode: state.mode, floor: state.floor };
+    },
+
+    // e.g. "Floor -52 dBFS · opens at -42 dBFS"
+    describe(state) {
+        const db = v => (20 * Math.log10(v)).toFixed(0);
+        return `Floor ${db(state.floor)} dBFS · opens at ${db(this.openLevel(state))} dBFS`;
+    }
+};
+
+if (typeof module !== 'undefined') module.exports = NoiseGate;
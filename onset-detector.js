@@ -0,0 +1,86 @@
+/**
+ * Onset Detector
+ * Finds note/strum/clap attacks in the mic signal and lines them up with metronome clicks.
+ * DOM-free; the caller reads an AnalyserNode each frame on the metronome's AudioContext, so onset
+ * times and click times share one clock.
+ *
+ * Analyser buffers overlap from frame to frame: process() splits each one into short hops and only
+ * looks at hops newer than the last frame, so an attack is found once; its time is refined to the first sample over the threshold.
+ * State is a plain object (see createState).
+ */
+
+const OnsetDetector = {
+    HOP: 256,              // Samples per energy hop
+    ONSET_RATIO: 2.5,      // Hop RMS must jump to this multiple of the recent level
+    MIN_LEVEL: 0.01,       // RMS below this is never an attack (room noise)
+    MIN_GAP: 0.08,         // s between two onsets (a strum's strings count once)
+    ENVELOPE_TIME: 0.05,   // s; how fast the recent level catches up with a rise
+
+    createState() {
+        return {
+            envelope: null,          // Recent level (primed by the first hop)
+            processedUntil: -Infinity, // Audio time of the newest hop already looked at
+            lastOnset: -Infinity
+        };
+    },
+
+    /**
+     * One analyser buffer whose last sample is at audio time endTime.
+     * Returns the audio times of the onsets found in its new part.
+     */
+    process(state, buf, sampleRate, endTime) {
+        const onsets = [];
+        const hopTime = this.HOP / sampleRate;
+        const startTime = endTime - buf.length / sampleRate;
+
+        for (let i = 0; i + this.HOP <= buf.length; i += this.HOP) {
+            const time = startTime + i / sampleRate;
+            if (time < state.processedUntil - 1e-9) continue;
+
+            let sum = 0;
+            for (let j = i; j < i + this.HOP; j++) sum += buf[j] * buf[j];
+            const rms = Math.sqrt(sum / this.HOP);
+
+            if (state.envelope === null) state.envelope = rms;
+            const threshold = state.envelope * this.ONSET_RATIO;
+            if (rms >= this.MIN_LEVEL && rms > threshold && time - state.lastOnset >= this.MIN_GAP) {
+                // The attack starts at the hop's first sample above the threshold
+                let first = i;
+                while (first < i + this.HOP - 1 && Math.abs(buf[first]) < Math.max(threshold, this.MIN_LEVEL)) first++;
+                const onset = startTime + first / sampleRate;
+                onsets.push(onset);
+                state.lastOnset = onset;
+            }
+
+            // Drops are followed at once, rises with a lag so an attack stands out
+            state.envelope = rms < state.envelope
+                ? rms
+                : state.envelope + (rms - state.envelope) * (1 - Math.exp(-hopTime / this.ENVELOPE_TIME));
+            state.envelope = Math.max(state.envelope, this.MIN_LEVEL / this.ONSET_RATIO);
+            state.processedUntil = time + hopTime;
+        }
+        return onsets;
+    },
+
+    /**
+     * Nearest onset to each click within ±range seconds: [{ click, onset, offset }],
+     * offset in ms (negative = early). Clicks with nothing close get onset/offset null.
+     */
+    align(onsets, clicks, range) {
+        return clicks.map(click => {
+            let best = null;
+            onsets.forEach(onset => {
+                if (Math.abs(onset - click) <= range && (best === null || Math.abs(onset - click) < Math.abs(best - click))) best = onset;
+            });
+            return { click, onset: best, offset: best === null ? null : (best - click) * 1000 };
+        });
+    },
+
+    // Mean offset (ms) of the aligned clicks that had an onset, or null
+    meanOffset(aligned) {
+        const offsets = aligned.filter(a => a.offset !== null).map(a => a.offset);
+        return offsets.length ? offsets.reduce((sum, o) => sum + o, 0) / offsets.length : null;
+    }
+};
+
+if (typeof module !== 'undefined') module.exports = OnsetDetector;
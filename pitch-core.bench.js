@@ -0,0 +1,144 @@
+/**
+ * Pitch Core Benchmark
+ * Synthesized test signals and an accuracy benchmark for pitch-core.js. Node only:
+ *
+ *   node pitch-core.bench.js            prints the accuracy benchmark
+ *   const PitchCoreBench = require('./pitch-core.bench.js');
+ *   PitchCore.analyse(PitchCoreBench.synth.pluck(82.41, 48000, 8192), 48000, strings)
+ */
+
+const PitchCore = require('./pitch-core.js');
+
+const PitchCoreBench = {
+    // Synthesized test tones (Float32Array of `length` samples). Plucks use a fixed seed so runs repeat.
+    synth: {
+        sine(freq, sampleRate, length, amplitude = 0.5) {
+            const out = new Float32Array(length);
+            for (let i = 0; i < length; i++) out[i] = amplitude * Math.sin(2 * Math.PI * freq * i / sampleRate);
+            return out;
+        },
+
+        // Band-limited (harmonics below Nyquist only), so no aliasing shows up as fake partials
+        sawtooth(freq, sampleRate, length, amplitude = 0.5) {
+            const out = new Float32Array(length);
+            const harmonics = Math.floor(sampleRate / 2 / freq);
+            for (let h = 1; h <= harmonics; h++) {
+                const a = amplitude * 2 / Math.PI / h * (h % 2 ? 1 : -1);
+                const w = 2 * Math.PI * freq * h / sampleRate;
+                for (let i = 0; i < length; i++) out[i] += a * Math.sin(w * i);
+            }
+            return out;
+        },
+
+        /**
+         * Plucked string: harmonics shaped by the pluck position, upper ones decaying faster,
+         * and a noise burst for the pick attack. Kept harmonic (no string stiffness), so the
+         * true pitch is exactly freq.
+         */
+        pluck(freq, sampleRate, length, amplitude = 0.5, seed = 1) {
+            const out = new Float32Array(length);
+            const position = 0.2;       // Plucked at a fifth of the string length
+            const harmonics = Math.min(30, Math.floor(sampleRate / 2 / freq));
+            let norm = 0;
+            for (let h = 1; h <= harmonics; h++) {
+                const a = Math.abs(Math.sin(Math.PI * h * position)) / h;
+                const decay = 1.5 + 0.8 * h; // 1/s
+                const w = 2 * Math.PI * freq * h / sampleRate;
+                for (let i = 0; i < length; i++) out[i] += a * Math.exp(-decay * i / sampleRate) * Math.sin(w * i);
+                norm += a;
+            }
+
+            let state = seed;
+            const random = () => {
+                state = (state * 16807) % 2147483647;
+                return state / 2147483647 * 2 - 1;
+            };
+            const attack = Math.floor(sampleRate * 0.01);
+            for (let i = 0; i < length; i++) {
+                out[i] = out[i] / norm * amplitude;
+                if (i < attack) out[i] += random() * amplitude * 0.2 * (1 - i / attack);
+            }
+            return out;
+        }
+    },
+
+    /**
+     * Accuracy benchmark: every algorithm against synthesized signals over the guitar/bass range,
+     * each note detuned by a few known amounts. A case passes when the reading is within
+     * `tolerance` cents of the true pitch; octave errors are counted separately.
+     * options: { sampleRate, notes, detune (cents), signals, algorithms, tolerance }
+     * Returns [{ algorithm, signal, cases, passed, octaveErrors, missed, meanError, maxError }].
+     */
+    benchmark(options = {}) {
+        const sampleRate = options.sampleRate || 48000;
+        const notes = options.notes || ['E1', 'B1', 'E2', 'A2', 'D3', 'G3', 'B3', 'E4', 'A4', 'E5', 'A5'];
+        const detune = options.detune || [-20, -7, 0, 3, 11];
+        const signals = options.signals || Object.keys(this.synth);
+        const algorithms = options.algorithms || PitchCore.algorithms().map(([key]) => key);
+        const tolerance = options.tolerance === undefined ? 2 : options.tolerance; // Well inside the 5 ¢ "tuned" band
+
+        const freqs = notes.map(n => PitchCore.noteFreq(n));
+        const range = {
+            ...PitchCore.DEFAULT_RANGE,
+            minFreq: Math.min(...freqs) * 0.85,
+            maxFreq: Math.max(...freqs) * 1.15
+        };
+        const { size, lags } = PitchCore.plan(sampleRate, range);
+
+        const results = [];
+        algorithms.forEach(algorithm => {
+            signals.forEach(signal => {
+                const errors = [];
+                let octaveErrors = 0;
+                let missed = 0;
+
+                freqs.forEach(base => detune.forEach(offset => {
+                    const freq = base * Math.pow(2, offset / 1200);
+                    const buf = this.synth[signal](freq, sampleRate, size);
+                    const reading = PitchCore.detect(buf, sampleRate, { algorithm, lags });
+                    if (reading.freq <= 0) {
+                        missed++;
+                        return;
+                    }
+                    const error = PitchCore.cents(reading.freq, freq);
+                    if (Math.abs(error) > 600) octaveErrors++;
+                    else errors.push(Math.abs(error));
+                }));
+
+                const cases = freqs.length * detune.length;
+                results.push({
+                    algorithm,
+                    signal,
+                    cases,
+                    passed: errors.filter(e => e <= tolerance).length,
+                    octaveErrors,
+                    missed,
+                    meanError: errors.length ? errors.reduce((a, b) => a + b, 0) / errors.length : null,
+                    maxError: errors.length ? Math.max(...errors) : null
+                });
+            });
+        });
+        return results;
+    },
+
+    // Benchmark results as a plain-text table
+    formatBenchmark(results) {
+        const rows = [['algorithm', 'signal', 'passed', 'octave', 'missed', 'mean ¢', 'max ¢']];
+        results.forEach(r => rows.push([
+            r.algorithm, r.signal, `${r.passed}/${r.cases}`, r.octaveErrors, r.missed,
+            r.meanError === null ? '-' : r.meanError.toFixed(2),
+            r.maxError === null ? '-' : r.maxError.toFixed(2)
+        ]));
+        const widths = rows[0].map((_, c) => Math.max(...rows.map(r => String(r[c]).length)));
+        return rows.map(r => r.map((v, c) => String(v).padEnd(widths[c])).join('  ')).join('\n');
+    }
+};
+
+module.exports = PitchCoreBench;
+
+if (require.main === module) {
+    const results = PitchCoreBench.benchmark();
+    console.log(PitchCoreBench.formatBenchmark(results));
+    // Non-zero exit when anything misses, so it can gate a build
+    if (results.some(r => r.passed < r.cases)) process.exitCode = 1;
+}
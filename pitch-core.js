@@ -0,0 +1,254 @@
+/**
+ * Pitch Core
+ * Headless pitch/tuning core shared by both tuners: a sample buffer goes in,
+ * { freq, clarity, note, target, index, cents } comes out. No DOM or Web Audio, so it also runs in Node:
+ *
+ *   const PitchCore = require('./pitch-core.js');
+ *   PitchCore.analyse(buffer, 48000, strings)
+ *
+ * Test signals and the accuracy benchmark live in pitch-core.bench.js.
+ *
+ * Requires pitch-detectors.js, noise-gate.js, temperaments.js and courses.js
+ * (script tags in the browser, require()d from the same folder in Node).
+ */
+
+// Script tags share their globals; Node needs the modules required explicitly
+const PitchCoreDeps = typeof module !== 'undefined' && typeof require === 'function'
+    ? {
+        ...require('./pitch-detectors.js'),
+        ...require('./temperaments.js'),
+        Courses: require('./courses.js'),
+        NoiseGate: require('./noise-gate.js')
+    }
+    : { PitchDetectors, NO_PITCH, Temperament, Courses, NoiseGate };
+
+const PitchCore = {
+    NOTE_NAMES: ["C", "C#", "D", "Eb", "E", "F", "F#", "G", "Ab", "A", "Bb", "B"],
+    // Note + octave, e.g. C#2, Eb4 (also used to validate imported tunings)
+    NOTE_PATTERN: /^([A-Ga-g]+#?b?)(\d+)$/,
+    ENHARMONICS: { "D#": "Eb", "G#": "Ab", "A#": "Bb", "Db": "C#", "Gb": "F#" },
+
+    DEFAULT_ALGORITHM: 'autocorrelate',
+    CONFIDENCE_THRESHOLD: 0.9, // Minimum detector clarity (0..1) for a reading to count
+    DEFAULT_RANGE: { minFreq: 60, maxFreq: 1000, minBufferSize: 2048, maxBufferSize: 32768 },
+    PEAK_RATIO: 0.9,           // Autocorrelation: first peak within this fraction of the best one wins
+    MAX_TRANSPOSE: 12,         // Semitones either way
+    MAX_CAPO: 12,
+
+    // --- Notes ---
+
+    // Absolute semitone index (C0 = 0, A4 = 57), or -1 if the name can't be parsed
+    noteIndex(noteWithOctave) {
+        const match = String(noteWithOctave).match(this.NOTE_PATTERN);
+        if (!match) return -1;
+
+        let note = match[1].charAt(0).toUpperCase() + match[1].slice(1);
+        if (this.ENHARMONICS[note]) note = this.ENHARMONICS[note];
+
+        const noteIndex = this.NOTE_NAMES.indexOf(note);
+        if (noteIndex === -1) return -1;
+        return parseInt(match[2]) * 12 + noteIndex;
+    },
+
+    // Note name of an absolute semitone index, e.g. 40 -> "E3"
+    noteName(index) {
+        return this.NOTE_NAMES[((index % 12) + 12) % 12] + Math.floor(index / 12);
+    },
+
+    // Note or course ("E2/E3") moved by semitones; names that don't parse are left alone
+    transposeNote(entry, semitones) {
+        if (!semitones) return entry;
+        return PitchCoreDeps.Courses.parse(entry).map(note => {
+            const index = this.noteIndex(note);
+            return index === -1 ? note : this.noteName(index + semitones);
+        }).join(PitchCoreDeps.Courses.SEPARATOR);
+    },
+
+    // Target frequency under the pitch prefs (concert pitch + temperament), 0 if the name is invalid
+    noteFreq(noteWithOctave, prefs = null) {
+        const index = this.noteIndex(noteWithOctave);
+        if (index === -1) return 0;
+        return PitchCoreDeps.Temperament.frequency(prefs || PitchCoreDeps.Temperament.normalize(null), index);
+    },
+
+    cents(current, target) {
+        return 1200 * Math.log2(current / target);
+    },
+
+    // --- Targets ---
+
+    /**
+     * Transpose/capo setting of a tuning. Both raise (or lower) every string by the same amount;
+     * transpose means retuned strings (half step down = -1), capo means clamped frets.
+     * Returns { transpose, capo } with missing/out-of-range values clamped.
+     */
+    normalizeOffset(offset) {
+        const o = offset || {};
+        const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, parseInt(v) || 0));
+        return {
+            transpose: clamp(o.transpose, -this.MAX_TRANSPOSE, this.MAX_TRANSPOSE),
+            capo: clamp(o.capo, 0, this.MAX_CAPO)
+        };
+    },
+
+    // Semitones the strings sound above their shape (written) names
+    offsetSemitones(offset) {
+        const o = this.normalizeOffset(offset);
+        return o.transpose + o.capo;
+    },
+
+    // e.g. "-1 st · Capo 2", '' when there is no offset
+    describeOffset(offset) {
+        const o = this.normalizeOffset(offset);
+        const parts = [];
+        if (o.transpose) parts.push(`${o.transpose > 0 ? '+' : '−'}${Math.abs(o.transpose)} st`);
+        if (o.capo) parts.push(`Capo ${o.capo}`);
+        return parts.join(' · ');
+    },
+
+    /**
+     * String/course targets for a tuning (see courses.js), string temperament offsets included.
+     * offset ({ transpose, capo }) moves the targets to the sounding pitch; each target keeps
+     * its written note as `shape` (e.g. note "Eb2", shape "E2" when tuned half a step down).
+     */
+    buildStrings(tuning, prefs = null, windowFraction, offset = null) {
+        const p = prefs || PitchCoreDeps.Temperament.normalize(null);
+        const semitones = this.offsetSemitones(offset);
+        const strings = PitchCoreDeps.Courses.build(tuning.map(entry => this.transposeNote(entry, semitones)),
+            (note, index) => this.noteFreq(note, p) * Math.pow(2, PitchCoreDeps.Temperament.stringOffset(p, index) / 1200),
+            windowFraction);
+
+        strings.forEach((s, i) => {
+            const written = PitchCoreDeps.Courses.parse(tuning[i]);
+            s.shape = written[0];
+            s.partners.forEach((partner, j) => { partner.shape = written[j + 1]; });
+        });
+        return strings;
+    },
+
+    // { note, freq } a reading is tuned against: nearest string when string is 'AUTO',
+    // otherwise any string of that course whose window holds it (e.g. the 12-string octave partner), or null
+    match(strings, string, freq) {
+        if (string === 'AUTO') return PitchCoreDeps.Courses.detect(strings, freq);
+        const course = strings[string];
+        return course ? PitchCoreDeps.Courses.match(course, freq) : null;
+    },
+
+    // --- Detection ---
+
+    // [[key, label]] of the selectable algorithms, autocorrelation first
+    algorithms() {
+        return [['autocorrelate', 'Autocorrelation'],
+            ...Object.entries(PitchCoreDeps.PitchDetectors).map(([key, d]) => [key, d.label])];
+    },
+
+    isAlgorithm(name) {
+        return name === 'autocorrelate' || !!PitchCoreDeps.PitchDetectors[name];
+    },
+
+    /**
+     * Analysis frame size and lag window for a detection range.
+     * The buffer must hold two periods of the lowest note, so low instruments get a bigger one.
+     * range: { minFreq, maxFreq, minBufferSize, maxBufferSize }
+     */
+    plan(sampleRate, range = this.DEFAULT_RANGE) {
+        const lags = {
+            minLag: Math.max(2, Math.floor(sampleRate / range.maxFreq)),
+            maxLag: Math.ceil(sampleRate / range.minFreq)
+        };
+        let size = range.minBufferSize;
+        while (size < lags.maxLag * 2 && size < range.maxBufferSize) size *= 2;
+        lags.maxLag = Math.min(lags.maxLag, size / 2);
+        return { size, lags };
+    },
+
+    /**
+     * Runs a detector and drops readings below the confidence threshold.
+     * options: { algorithm, lags, rms, threshold }; returns { freq, clarity } (NO_PITCH = freq -1)
+     */
+    detect(buf, sampleRate, options = {}) {
+        const lags = options.lags || this.plan(sampleRate).lags;
+        const detector = PitchCoreDeps.PitchDetectors[options.algorithm];
+        const result = detector
+            ? detector.detect(buf, sampleRate, lags)
+            : this.autoCorrelate(buf, sampleRate, options.rms, lags);
+
+        const threshold = options.threshold === undefined ? this.CONFIDENCE_THRESHOLD : options.threshold;
+        if (result.freq === -1 || result.clarity < threshold) return PitchCoreDeps.NO_PITCH;
+        return result;
+    },
+
+    /**
+     * One buffer to a tuning reading against strings (see buildStrings).
+     * options: detect() options plus string ('AUTO' or a course index, default 'AUTO').
+     * Returns { freq, clarity, note, target, index, cents }; note/target/index/cents are null
+     * when there's no pitch or (manual string) the pitch is outside that string's window.
+     */
+    analyse(buf, sampleRate, strings, options = {}) {
+        const { freq, clarity } = this.detect(buf, sampleRate, options);
+        const string = options.string === undefined ? 'AUTO' : options.string;
+        const target = freq > 0 ? this.match(strings, string, freq) : null;
+        return {
+            freq,
+            clarity,
+            note: target ? target.note : null,
+            target: target ? target.freq : null,
+            index: target ? (string === 'AUTO' ? target.index : string) : null,
+            cents: target ? this.cents(freq, target.freq) : null
+        };
+    },
+
+    /**
+     * Normalized autocorrelation: each lag's correlation is divided by the energy of the two
+     * overlapping parts, so the shrinking overlap at long lags doesn't drag the peak towards
+     * shorter periods (the old raw sum read low strings sharp). The first peak close to the best
+     * one is taken (a lower peak at twice the period is the octave below), then refined with a parabola.
+     * Returns { freq, clarity } like the detectors in pitch-detectors.js.
+     */
+    autoCorrelate(buf, sampleRate, rms, lags = this.plan(sampleRate).lags) {
+        if (rms === undefined) {
+            rms = 0;
+            for (let i = 0; i < buf.length; i++) rms += buf[i] * buf[i];
+            rms = Math.sqrt(rms / buf.length);
+        }
+        if (rms < PitchCoreDeps.NoiseGate.MIN_FLOOR) return PitchCoreDeps.NO_PITCH; // Digital silence (the noise gate runs before this)
+
+        const n = buf.length;
+        const minLag = Math.max(1, lags.minLag);
+        const maxLag = Math.min(lags.maxLag, n - 2);
+        if (maxLag <= minLag + 1) return PitchCoreDeps.NO_PITCH;
+
+        // Running energies of buf[0 .. n-lag) and buf[lag .. n)
+        const square = new Float64Array(n + 1);
+        for (let i = 0; i < n; i++) square[i + 1] = square[i] + buf[i] * buf[i];
+
+        // One lag either side of the window so the edges can be tested as peaks
+        const nac = new Float64Array(maxLag + 2);
+        for (let lag = minLag - 1; lag <= maxLag + 1; lag++) {
+            let corr = 0;
+            for (let i = 0; i < n - lag; i++) corr += buf[i] * buf[i + lag];
+            const energy = Math.sqrt(square[n - lag] * (square[n] - square[lag]));
+            nac[lag] = energy ? corr / energy : 0;
+        }
+
+        // Local maxima inside the window
+        const peaks = [];
+        for (let lag = minLag; lag <= maxLag; lag++) {
+            if (nac[lag] > 0 && nac[lag] > nac[lag - 1] && nac[lag] >= nac[lag + 1]) peaks.push(lag);
+        }
+        if (peaks.length === 0) return PitchCoreDeps.NO_PITCH;
+
+        const best = Math.max(...peaks.map(lag => nac[lag]));
+        const period = peaks.find(lag => nac[lag] >= best * this.PEAK_RATIO);
+
+        const prev = nac[period - 1];
+        const curr = nac[period];
+        const next = nac[period + 1];
+        const denom = prev - 2 * curr + next;
+        const shift = denom ? (prev - next) / (2 * denom) : 0;
+
+        return { freq: sampleRate / (period + shift), clarity: Math.max(0, Math.min(1, curr)) };
+    }
+};
+
+if (typeof module !== 'undefined') module.exports = PitchCore;
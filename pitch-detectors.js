@@ -0,0 +1,155 @@
+/**
+ * Pitch Detectors
+ * DOM-free pitch detection algorithms shared by both tuners.
+ *
+ * Every detector has the same signature:
+ *   detect(buffer, sampleRate, options) -> { freq, clarity }
+ * freq is -1 when no pitch was found, clarity is 0..1 (1 = perfectly periodic).
+ * options: { minLag, maxLag } - the lag window (in samples) to search.
+ */
+
+const DEFAULT_LAG_WINDOW = { minLag: 30, maxLag: 800 };
+
+const NO_PITCH = { freq: -1, clarity: 0 };
+
+// Shared helper: refine a peak/trough position with a parabola through its neighbours
+function parabolicShift(prev, curr, next) {
+    const denom = prev - 2 * curr + next;
+    if (!denom) return 0;
+    return (prev - next) / (2 * denom);
+}
+
+function resolveLagWindow(buf, options = {}) {
+    const minLag = Math.max(2, options.minLag || DEFAULT_LAG_WINDOW.minLag);
+    // Need at least as many samples as the longest lag to integrate over
+    const maxLag = Math.min(options.maxLag || DEFAULT_LAG_WINDOW.maxLag, Math.floor(buf.length / 2));
+    return { minLag, maxLag };
+}
+
+const PitchDetectors = {
+    /**
+     * YIN (de Cheveigné & Kawahara, 2002)
+     * Cumulative mean normalized difference + absolute threshold.
+     * Picks the first dip under the threshold, which avoids the "octave too high" errors
+     * of plain autocorrelation on low strings.
+     */
+    yin: {
+        label: 'YIN',
+        threshold: 0.15,
+
+        detect(buf, sampleRate, options = {}) {
+            const { minLag, maxLag } = resolveLagWindow(buf, options);
+            if (maxLag <= minLag) return NO_PITCH;
+
+            const W = buf.length - maxLag; // Integration window
+            const d = new Float32Array(maxLag + 1);
+
+            // 1. Difference function
+            for (let tau = 1; tau <= maxLag; tau++) {
+                let sum = 0;
+                for (let i = 0; i < W; i++) {
+                    const delta = buf[i] - buf[i + tau];
+                    sum += delta * delta;
+                }
+                d[tau] = sum;
+            }
+
+            // 2. Cumulative mean normalization
+            d[0] = 1;
+            let runningSum = 0;
+            for (let tau = 1; tau <= maxLag; tau++) {
+                runningSum += d[tau];
+                d[tau] = runningSum ? d[tau] * tau / runningSum : 1;
+            }
+
+            // 3. Absolute threshold: first dip below threshold, walked down to its minimum
+            let tauEst = -1;
+            for (let tau = minLag; tau < maxLag; tau++) {
+                if (d[tau] < this.threshold) {
+                    while (tau + 1 < maxLag && d[tau + 1] < d[tau]) tau++;
+                    tauEst = tau;
+                    break;
+                }
+            }
+
+            // No dip under threshold: fall back to the global minimum (low clarity)
+            if (tauEst === -1) {
+                let minVal = Infinity;
+                for (let tau = minLag; tau < maxLag; tau++) {
+                    if (d[tau] < minVal) {
+                        minVal = d[tau];
+                        tauEst = tau;
+                    }
+                }
+            }
+            if (tauEst <= 0) return NO_PITCH;
+
+            // 4. Parabolic interpolation
+            const shift = parabolicShift(d[tauEst - 1], d[tauEst], d[tauEst + 1]);
+            const clarity = Math.max(0, Math.min(1, 1 - d[tauEst]));
+
+            return { freq: sampleRate / (tauEst + shift), clarity };
+        }
+    },
+
+    /**
+     * McLeod Pitch Method (McLeod & Wyvill, 2005)
+     * Normalized square difference function + key maxima picking.
+     * The NSDF peak height doubles as the clarity measure.
+     */
+    mcleod: {
+        label: 'McLeod (MPM)',
+        cutoff: 0.93, // Key maximum must reach this fraction of the highest one
+
+        detect(buf, sampleRate, options = {}) {
+            const { minLag, maxLag } = resolveLagWindow(buf, options);
+            if (maxLag <= minLag) return NO_PITCH;
+
+            const N = buf.length;
+            const nsdf = new Float32Array(maxLag + 1);
+
+            // 1. NSDF: 2 * r(tau) / m(tau)
+            for (let tau = 0; tau <= maxLag; tau++) {
+                let acf = 0;
+                let energy = 0;
+                for (let i = 0; i < N - tau; i++) {
+                    acf += buf[i] * buf[i + tau];
+                    energy += buf[i] * buf[i] + buf[i + tau] * buf[i + tau];
+                }
+                nsdf[tau] = energy ? 2 * acf / energy : 0;
+            }
+
+            // 2. Key maxima: highest point between each positive-going zero crossing
+            // and the following negative-going one
+            const keyMaxima = [];
+            let tau = 1;
+            while (tau < maxLag && nsdf[tau] > 0) tau++; // Skip the lag-0 lobe
+            let bestInLobe = -1;
+            for (; tau < maxLag; tau++) {
+                if (nsdf[tau] > 0) {
+                    if (nsdf[tau] > nsdf[tau - 1] && nsdf[tau] >= nsdf[tau + 1]) {
+                        if (bestInLobe === -1 || nsdf[tau] > nsdf[bestInLobe]) bestInLobe = tau;
+                    }
+                } else if (bestInLobe !== -1) {
+                    keyMaxima.push(bestInLobe);
+                    bestInLobe = -1;
+                }
+            }
+            if (bestInLobe !== -1) keyMaxima.push(bestInLobe);
+
+            const candidates = keyMaxima.filter(t => t >= minLag);
+            if (candidates.length === 0) return NO_PITCH;
+
+            // 3. First key maximum close enough to the overall highest
+            const highest = Math.max(...candidates.map(t => nsdf[t]));
+            const chosen = candidates.find(t => nsdf[t] >= this.cutoff * highest);
+
+            const shift = parabolicShift(nsdf[chosen - 1], nsdf[chosen], nsdf[chosen + 1]);
+            const clarity = Math.max(0, Math.min(1, nsdf[chosen]));
+
+            return { freq: sampleRate / (chosen + shift), clarity };
+        }
+    }
+};
+
+if (typeof module !== 'undefined') module.exports = { PitchDetectors, NO_PITCH, DEFAULT_LAG_WINDOW };
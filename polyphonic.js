@@ -0,0 +1,132 @@
+/**
+ * Polyphonic ("strum once") Analysis
+ * DOM-free spectral estimation of every string at once from a single strum.
+ *
+ * Each string is only looked for around its own target and the first few harmonics of it.
+ * Harmonics that land near another string's harmonics (e.g. E2's 3rd vs B3's fundamental)
+ * are ambiguous, so they only count when a string has nothing cleaner to go on.
+ */
+
+const Polyphonic = {
+    HARMONICS: 6,         // Partials examined per string
+    SEARCH_CENTS: 50,     // How far a string may be off and still be found
+    CLASH_CENTS: 100,     // Partials of two strings closer than this are ambiguous
+    DYNAMIC_RANGE: 45,    // dB below the loudest bin that still counts as a peak
+    PAD_FACTOR: 2,        // Zero padding for finer bin spacing
+
+    // In-place radix-2 FFT (length must be a power of two)
+    fft(re, im) {
+        const n = re.length;
+        for (let i = 1, j = 0; i < n; i++) {
+            let bit = n >> 1;
+            for (; j & bit; bit >>= 1) j ^= bit;
+            j ^= bit;
+            if (i < j) {
+                [re[i], re[j]] = [re[j], re[i]];
+                [im[i], im[j]] = [im[j], im[i]];
+            }
+        }
+        for (let len = 2; len <= n; len <<= 1) {
+            const ang = -2 * Math.PI / len;
+            const wRe = Math.cos(ang);
+            const wIm = Math.sin(ang);
+            for (let i = 0; i < n; i += len) {
+                let curRe = 1, curIm = 0;
+                for (let k = 0; k < len / 2; k++) {
+                    const a = i + k;
+                    const b = a + len / 2;
+                    const tRe = re[b] * curRe - im[b] * curIm;
+                    const tIm = re[b] * curIm + im[b] * curRe;
+                    re[b] = re[a] - tRe;
+                    im[b] = im[a] - tIm;
+                    re[a] += tRe;
+                    im[a] += tIm;
+                    const nextRe = curRe * wRe - curIm * wIm;
+                    curIm = curRe * wIm + curIm * wRe;
+                    curRe = nextRe;
+                }
+            }
+        }
+    },
+
+    // Hann-windowed, zero-padded magnitude spectrum in dB
+    spectrum(buf, sampleRate) {
+        const n = buf.length * this.PAD_FACTOR;
+        const re = new Float64Array(n);
+        const im = new Float64Array(n);
+        for (let i = 0; i < buf.length; i++) {
+            re[i] = buf[i] * (0.5 - 0.5 * Math.cos(2 * Math.PI * i / (buf.length - 1)));
+        }
+        this.fft(re, im);
+
+        const db = new Float32Array(n / 2);
+        let peak = -Infinity;
+        for (let i = 0; i < db.length; i++) {
+            db[i] = 10 * Math.log10(re[i] * re[i] + im[i] * im[i] + 1e-20);
+            if (db[i] > peak) peak = db[i];
+        }
+        return { db, peak, binHz: sampleRate / n };
+    },
+
+    // Interpolated frequency of the strongest local maximum within ±SEARCH_CENTS of freq
+    findPeak(spec, freq) {
+        const ratio = Math.pow(2, this.SEARCH_CENTS / 1200);
+        const lo = Math.max(1, Math.floor(freq / ratio / spec.binHz));
+        const hi = Math.min(spec.db.length - 2, Math.ceil(freq * ratio / spec.binHz));
+
+        let best = -1;
+        for (let i = lo; i <= hi; i++) {
+            if (spec.db[i] > spec.db[i - 1] && spec.db[i] >= spec.db[i + 1] &&
+                (best === -1 || spec.db[i] > spec.db[best])) best = i;
+        }
+        if (best === -1 || spec.db[best] < spec.peak - this.DYNAMIC_RANGE) return null;
+
+        // Parabola through the log magnitudes (close to exact for a Hann main lobe)
+        const shift = parabolicShift(spec.db[best - 1], spec.db[best], spec.db[best + 1]);
+        return { freq: (best + shift) * spec.binHz, db: spec.db[best] };
+    },
+
+    // Whether partial k of string s sits near any partial of another string
+    isAmbiguous(targets, s, k) {
+        const f = targets[s] * k;
+        return targets.some((other, j) => {
+            if (j === s) return false;
+            for (let m = 1; m <= this.HARMONICS; m++) {
+                if (Math.abs(1200 * Math.log2(f / (other * m))) < this.CLASH_CENTS) return true;
+            }
+            return false;
+        });
+    },
+
+    /**
+     * targets: target frequency per string.
+     * Returns one entry per string: { freq, cents, ambiguous } or null if it wasn't heard.
+     */
+    analyse(buf, sampleRate, targets) {
+        const spec = this.spectrum(buf, sampleRate);
+
+        return targets.map((target, s) => {
+            const clean = [];
+            const shared = [];
+            for (let k = 1; k <= this.HARMONICS; k++) {
+                if (target * k >= sampleRate / 2) break;
+                const peak = this.findPeak(spec, target * k);
+                if (!peak) continue;
+                // Weight by amplitude; higher partials also divide their error by k
+                const entry = { freq: peak.freq / k, weight: Math.pow(10, peak.db / 20) * k };
+                (this.isAmbiguous(targets, s, k) ? shared : clean).push(entry);
+            }
+
+            const used = clean.length ? clean : shared;
+            if (used.length === 0) return null;
+
+            let sum = 0, total = 0;
+            used.forEach(e => {
+                sum += e.freq * e.weight;
+                total += e.weight;
+            });
+            const freq = sum / total;
+            return { freq, cents: 1200 * Math.log2(freq / target), ambiguous: clean.length === 0 };
+        });
+    }
+};
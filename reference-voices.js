@@ -0,0 +1,146 @@
+/**
+ * Reference Voices
+ * Synthesized reference tones for tuning by ear. Needs an AudioContext, no DOM.
+ *
+ * Every voice has the same signature:
+ *   play(ctx, destination, freq) -> { stop() }
+ * 'sustain' voices ring until stopped; the pluck decays on its own.
+ */
+
+const ReferenceVoices = {
+    /**
+     * Karplus-Strong plucked string.
+     * The loop is tuned with a first-order allpass for the fractional part of the period,
+     * otherwise the integer delay line would leave the pitch up to ~10 cents off on high notes.
+     */
+    pluck: {
+        label: 'Plucked String',
+        sustain: false,
+        duration: 4,   // Seconds rendered
+        decay: 2.5,    // Seconds to fall 60 dB (before the loop filter's own damping)
+        cache: {},     // Rendered buffers by sampleRate:freq
+
+        render(ctx, freq) {
+            const key = `${ctx.sampleRate}:${freq.toFixed(3)}`;
+            if (this.cache[key]) return this.cache[key];
+
+            const sr = ctx.sampleRate;
+            const period = sr / freq;                 // Loop delay needed, in samples
+            const N = Math.max(2, Math.floor(period - 0.5)); // Averaging filter adds half a sample
+            const frac = period - 0.5 - N;
+            const C = (1 - frac) / (1 + frac);        // Allpass delay ≈ frac at low frequencies
+            const loss = Math.pow(0.001, 1 / (freq * this.decay));
+
+            // Excite with a softened noise burst
+            const line = new Float32Array(N);
+            let prev = 0;
+            for (let i = 0; i < N; i++) {
+                prev = 0.6 * (Math.random() * 2 - 1) + 0.4 * prev;
+                line[i] = prev;
+            }
+
+            const length = Math.floor(sr * this.duration);
+            const buffer = ctx.createBuffer(1, length, sr);
+            const out = buffer.getChannelData(0);
+            let idx = 0, lastX = 0, apIn = 0, apOut = 0;
+            for (let n = 0; n < length; n++) {
+                const x = line[idx];
+                const avg = 0.5 * (x + lastX) * loss;
+                lastX = x;
+                const ap = C * avg + apIn - C * apOut;
+                apIn = avg;
+                apOut = ap;
+                line[idx] = ap;
+                idx = (idx + 1) % N;
+                out[n] = x;
+            }
+
+            this.cache[key] = buffer;
+            return buffer;
+        },
+
+        play(ctx, destination, freq) {
+            const src = ctx.createBufferSource();
+            src.buffer = this.render(ctx, freq);
+            src.connect(destination);
+            src.start();
+            return {
+                stop() {
+                    try { src.stop(); src.disconnect(); } catch (e) { }
+                }
+            };
+        }
+    },
+
+    // Sawtooth through a resonant low-pass with a slow bow-like attack
+    bowed: {
+        label: 'Bowed',
+        sustain: true,
+
+        play(ctx, destination, freq) {
+            const now = ctx.currentTime;
+            const osc = ctx.createOscillator();
+            const filter = ctx.createBiquadFilter();
+            const env = ctx.createGain();
+
+            osc.type = 'sawtooth';
+            osc.frequency.value = freq;
+            filter.type = 'lowpass';
+            filter.frequency.setValueAtTime(freq * 2, now);
+            filter.frequency.linearRampToValueAtTime(freq * 5, now + 0.4);
+            filter.Q.value = 2;
+
+            env.gain.setValueAtTime(0.0001, now);
+            env.gain.exponentialRampToValueAtTime(0.5, now + 0.25);
+
+            osc.connect(filter);
+            filter.connect(env);
+            env.connect(destination);
+            osc.start();
+
+            return {
+                stop() {
+                    const t = ctx.currentTime;
+                    env.gain.cancelScheduledValues(t);
+                    env.gain.setValueAtTime(env.gain.value, t);
+                    env.gain.exponentialRampToValueAtTime(0.0001, t + 0.15);
+                    try { osc.stop(t + 0.16); } catch (e) { }
+                }
+            };
+        }
+    },
+
+    // Drawbar-style additive organ tone (exact partials, so the pitch is steady)
+    drone: {
+        label: 'Organ Drone',
+        sustain: true,
+        partials: [0, 1, 0.6, 0.35, 0.25, 0, 0.12, 0, 0.15],
+
+        play(ctx, destination, freq) {
+            const now = ctx.currentTime;
+            const real = new Float32Array(this.partials.length);
+            const imag = Float32Array.from(this.partials);
+            const osc = ctx.createOscillator();
+            const env = ctx.createGain();
+
+            osc.setPeriodicWave(ctx.createPeriodicWave(real, imag));
+            osc.frequency.value = freq;
+            env.gain.setValueAtTime(0.0001, now);
+            env.gain.exponentialRampToValueAtTime(0.4, now + 0.05);
+
+            osc.connect(env);
+            env.connect(destination);
+            osc.start();
+
+            return {
+                stop() {
+                    const t = ctx.currentTime;
+                    env.gain.cancelScheduledValues(t);
+                    env.gain.setValueAtTime(env.gain.value, t);
+                    env.gain.exponentialRampToValueAtTime(0.0001, t + 0.08);
+                    try { osc.stop(t + 0.1); } catch (e) { }
+                }
+            };
+        }
+    }
+};
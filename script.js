@@ -1,131 +1,147 @@
 /**
  * Guitar Tuner Logic - Pro Version
- * Features: Autocorrelation, Frequency Locking, Needle Smoothing, Confirmation Sound, Reference Tones
+ * Features: Autocorrelation / YIN / McLeod, Frequency Locking, Needle Smoothing, Strobe Mode, Confirmation Sound, Reference Voices
+ * Requires audio-input.js, noise-gate.js, pitch-detectors.js, temperaments.js, courses.js, pitch-core.js, tunings.js,
+ * strobe.js, intonation.js, polyphonic.js, reference-voices.js, file-analysis.js and accessible-feedback.js to be loaded first.
  */
 
 // --- Configuration ---
 const config = {
-    bufferSize: 4096,
-    confidenceThreshold: 0.9,
-    minFreq: 60,
+    bufferSize: 4096,    // Resized by sizeAnalysis() to fit the lowest target note
+    confidenceThreshold: PitchCore.CONFIDENCE_THRESHOLD, // Minimum detector clarity (0..1) for a reading to count
+    algorithm: PitchCore.DEFAULT_ALGORITHM, // 'autocorrelate' | any key of PitchDetectors (see pitch-core.js)
+    minFreq: 60,         // Detection range, derived from the active tuning by updateDetectionRange()
     maxFreq: 1000,
+    minBufferSize: 2048,
+    maxBufferSize: 32768, // AnalyserNode fftSize limit
+    chromaticRange: { low: 'C1', high: 'B6' },
+    strumBufferSize: 16384, // Strum mode window; longer for finer spectral resolution
+    strumInterval: 150,  // ms between polyphonic analyses
+    strumHoldTime: 2500, // ms a string's reading stays on its button after the strum fades
+    toneSustainLimit: 8000, // ms before a sustained reference voice stops on its own
+    sequenceStep: 1500,  // ms per string when playing all strings in sequence
     tunedTolerance: 5,   // Cents within which it counts as "tuned"
-    stableDuration: 600, // ms to wait before confirming tune (slightly longer for better UX)
-    silenceRMS: 0.015    // Threshold for "Too Quiet"
+    stableDuration: 600  // ms to wait before confirming tune (slightly longer for better UX)
 };
 
 // --- State ---
 let audioContext = null;
 let analyser = null;
 let microphone = null;
+let inputChain = null; // Mic source -> input gain -> analyser (see audio-input.js)
 let isRunning = false;
-let currentString = 'AUTO';
+let currentString = 'AUTO'; // 'AUTO' or the index of the selected string/course
 let currentRMS = 0; // Track volume
 
+// Analysis Window (lags in samples, filled in by sizeAnalysis once the sample rate is known)
+let analysisBuffer = new Float32Array(config.bufferSize);
+let detectionLags = { minLag: 30, maxLag: 800 };
+
 // Smoothing State
 let currentNeedleAngle = 0;
 let targetNeedleAngle = 0;
 let lastFrameTime = 0;
 
+// Strobe State (phase in bands; target is { freq, cents } while a note is locked)
+let displayMode = localStorage.getItem('display-mode') === 'strobe' ? 'strobe' : 'needle';
+let strobePhase = 0;
+let strobeTarget = null;
+
+// Strum Mode State (one reading per string index: { freq, cents, ambiguous, time })
+let strumMode = false;
+let strumResults = [];
+let lastStrumTime = 0;
+
+// Intonation Setup State (session is null unless a setup is running)
+let intonationSession = null;
+let intonationReports = {};
+try {
+    intonationReports = JSON.parse(localStorage.getItem('intonation-reports') || '{}');
+} catch (e) { console.error("Error loading intonation reports", e); }
+
+// Input Settings (device, browser processing, gain)
+let inputPrefs = AudioInput.normalize(null);
+try {
+    inputPrefs = AudioInput.normalize(JSON.parse(localStorage.getItem('input-prefs') || 'null'));
+} catch (e) { console.error("Error loading input settings", e); }
+
+// Noise Gate State (floor + mode persist; see noise-gate.js)
+let noiseGate = NoiseGate.createState(null);
+try {
+    noiseGate = NoiseGate.createState(JSON.parse(localStorage.getItem('noise-gate') || 'null'));
+} catch (e) { console.error("Error loading noise gate", e); }
+
 // Stability State
 let timeInTune = 0;
 let hasPlayedSound = false;
 
 // Reference Tone State
-let activeOscillator = null;
+let activeVoice = null;      // { stop() } of the sounding reference voice
 let activeToneBtn = null;
+let toneTimer = null;        // Auto-repeat, sustain limit or next sequence step
+let sequenceIndex = -1;      // String being played by "Play All" (-1 = not sequencing)
+let toneOutput = null;       // Master gain for reference voices (volume)
+let tonePrefs = { voice: 'pluck', volume: 0.5, repeat: 3 }; // repeat: seconds between plucks, 0 = off
+try {
+    tonePrefs = { ...tonePrefs, ...JSON.parse(localStorage.getItem('tone-prefs') || '{}') };
+    if (!ReferenceVoices[tonePrefs.voice]) tonePrefs.voice = 'pluck';
+} catch (e) { console.error("Error loading tone settings", e); }
 
-// String Frequencies & Windows (Strict)
-// Mutable to allow tuning changes
-let guitarStrings = {
-    'E2': { freq: 82.41, min: 70, max: 95 },
-    'A2': { freq: 110.00, min: 95, max: 125 },
-    'D3': { freq: 146.83, min: 130, max: 165 },
-    'G3': { freq: 196.00, min: 175, max: 215 },
-    'B3': { freq: 246.94, min: 225, max: 270 },
-    'E4': { freq: 329.63, min: 300, max: 360 }
-};
+// Accessible Mode State (see accessible-feedback.js)
+let accessiblePrefs = AccessibleFeedback.normalize(null);
+try {
+    accessiblePrefs = AccessibleFeedback.normalize(JSON.parse(localStorage.getItem('accessible-prefs') || 'null'));
+} catch (e) { console.error("Error loading accessible mode settings", e); }
+const accessibleState = AccessibleFeedback.createState();
+
+// String Frequencies & Windows (Strict), one entry per string/course by position (see courses.js)
+// Mutable to allow tuning changes; rebuilt by buildTargets() once pitch settings are loaded
+let guitarStrings = [];
 
 // --- DATA: Instrument Tunings ---
-const INSTRUMENTS = {
-    guitar: {
-        name: "Guitar (6 String)",
-        tunings: [
-            { name: "Standard", notes: ["E2", "A2", "D3", "G3", "B3", "E4"] },
-            { name: "Drop D", notes: ["D2", "A2", "D3", "G3", "B3", "E4"] },
-            { name: "Open D", notes: ["D2", "A2", "D3", "F#3", "A3", "D4"] },
-            { name: "Open G", notes: ["D2", "G2", "D3", "G3", "B3", "D4"] },
-            { name: "DADGAD", notes: ["D2", "A2", "D3", "G3", "A3", "D4"] },
-            { name: "Half Step Down", notes: ["Eb2", "Ab2", "Db3", "Gb3", "Bb3", "Eb4"] }
-        ]
-    },
-    bass: {
-        name: "Bass (4 String)",
-        tunings: [
-            { name: "Standard", notes: ["E1", "A1", "D2", "G2"] },
-            { name: "Drop D", notes: ["D1", "A1", "D2", "G2"] },
-            { name: "Half Step Down", notes: ["Eb1", "Ab1", "Db2", "Gb2"] }
-        ]
-    },
-    ukulele: {
-        name: "Ukulele",
-        tunings: [
-            { name: "Standard (GCEA)", notes: ["G4", "C4", "E4", "A4"] },
-            { name: "D Tuning (ADF#B)", notes: ["A4", "D4", "F#4", "B4"] },
-            { name: "Low G", notes: ["G3", "C4", "E4", "A4"] }
-        ]
-    },
-    violin: {
-        name: "Violin Family",
-        tunings: [
-            { name: "Violin", notes: ["G3", "D4", "A4", "E5"] },
-            { name: "Viola", notes: ["C3", "G3", "D4", "A4"] },
-            { name: "Cello", notes: ["C2", "G2", "D3", "A3"] }
-        ]
-    },
-    folk: {
-        name: "Folk Instruments",
-        tunings: [
-            { name: "Mandolin", notes: ["G3", "D4", "A4", "E5"] },
-            { name: "Banjo (5-String)", notes: ["G4", "D3", "G3", "B3", "D4"] },
-            { name: "Balalaika", notes: ["E4", "E4", "A4"] },
-            { name: "Cavaquinho", notes: ["D4", "G4", "B4", "D5"] }
-        ]
-    }
-};
+// Instruments, families and tunings come from the shared catalog (tunings.js)
 
 // NOTE DATA (Frequency map for generating targets dynamically)
-// A4 = 440Hz
-const NOTE_NAMES = ["C", "C#", "D", "Eb", "E", "F", "F#", "G", "Ab", "A", "Bb", "B"];
-function getNoteFreq(noteWithOctave) {
-    // Regex to split Note and Octave (handle C#2, Eb4, etc)
-    const match = noteWithOctave.match(/^([A-Ga-g]+#?b?)(\d+)$/);
-    if (!match) return 0;
+// A4 = pitchPrefs.referencePitch (440Hz by default), tempered by pitchPrefs.temperament
+const NOTE_NAMES = PitchCore.NOTE_NAMES;
+// Note + octave, e.g. C#2, Eb4 (also used to validate imported tunings)
+const NOTE_PATTERN = PitchCore.NOTE_PATTERN;
 
-    let note = match[1];
-    const octave = parseInt(match[2]);
-
-    // Normalize flat/sharp
-    const flatToSharp = { "Eb": "D#", "Ab": "G#", "Bb": "A#", "Db": "C#", "Gb": "F#" };
-    if (flatToSharp[note]) note = flatToSharp[note];
+// Concert Pitch & Temperament (persisted)
+let pitchPrefs = Temperament.normalize(null);
+try {
+    pitchPrefs = Temperament.normalize(JSON.parse(localStorage.getItem('pitch-prefs') || 'null'));
+} catch (e) { console.error("Error loading pitch settings", e); }
 
-    // Calculate semitones from A4
-    const noteIndex = NOTE_NAMES.indexOf(note);
-    // A is index 9
-    // A4 index absolute = 4 * 12 + 9 = 57
-    const a4Index = 57;
-    const thisIndex = octave * 12 + noteIndex;
+// Absolute semitone index (C0 = 0, A4 = 57), or -1 if the name can't be parsed
+function getNoteIndex(noteWithOctave) {
+    return PitchCore.noteIndex(noteWithOctave);
+}
 
-    const diff = thisIndex - a4Index;
-    return 440 * Math.pow(2, diff / 12);
+function getNoteFreq(noteWithOctave) {
+    return PitchCore.noteFreq(noteWithOctave, pitchPrefs);
 }
 
 // Current Tuning State
 let activeTuningName = "Standard";
-let activeInstrument = "guitar";
+let activeInstrument = "guitar"; // Catalog instrument id, 'custom' or 'chromatic'
+let activeTuningId = 'guitar.standard'; // Catalog tuning id (null for custom / chromatic)
+let activeNotes = ["E2", "A2", "D3", "G3", "B3", "E4"];
 let isChromaticMode = false;
 let headstockLayout = '3+3';
 
+// Transpose / capo applied on top of the active tuning (persisted, and kept with recent tunings)
+let tuningOffset = PitchCore.normalizeOffset(null);
+try {
+    tuningOffset = PitchCore.normalizeOffset(JSON.parse(localStorage.getItem('tuning-offset') || 'null'));
+} catch (e) { console.error("Error loading transpose/capo", e); }
+
+// Favorite catalog tunings, by tuning id
+let favoriteTunings = [];
+try {
+    favoriteTunings = JSON.parse(localStorage.getItem('favorite-tunings') || '[]').filter(id => TuningCatalog.get(id));
+} catch (e) { console.error("Error loading favorite tunings", e); }
+
 // Custom Tunings State
 let customTunings = [];
 try {
@@ -133,6 +149,20 @@ try {
     if (stored) customTunings = JSON.parse(stored);
 } catch (e) { console.error("Error loading custom tunings", e); }
 
+// Chromatic Range (persisted)
+try {
+    const storedRange = JSON.parse(localStorage.getItem('chromatic-range') || 'null');
+    if (storedRange && getNoteIndex(storedRange.low) >= 0 && getNoteIndex(storedRange.high) >= 0) {
+        config.chromaticRange = storedRange;
+    }
+} catch (e) { console.error("Error loading chromatic range", e); }
+
+// Detection Algorithm (persisted)
+const savedAlgorithm = localStorage.getItem('tuner-algorithm');
+if (savedAlgorithm && PitchCore.isAlgorithm(savedAlgorithm)) {
+    config.algorithm = savedAlgorithm;
+}
+
 // Editor State
 let editingTuningId = null; // null = creating new
 let tempEditingState = { name: "", strings: [], headstock: "3+3" };
@@ -182,6 +212,18 @@ const notePickerGrid = document.getElementById('note-picker-grid');
 const closePickerBtn = document.getElementById('close-picker-btn');
 const octaveBtns = document.querySelectorAll('.octave-btn');
 
+// Screen reader announcements (accessible mode); visually hidden, read politely
+const liveRegion = document.createElement('div');
+liveRegion.className = 'sr-only';
+liveRegion.setAttribute('role', 'status');
+liveRegion.setAttribute('aria-live', 'polite');
+liveRegion.setAttribute('aria-atomic', 'true');
+Object.assign(liveRegion.style, {
+    position: 'absolute', width: '1px', height: '1px', overflow: 'hidden',
+    clip: 'rect(0 0 0 0)', whiteSpace: 'nowrap'
+});
+document.body.appendChild(liveRegion);
+
 // --- Initialization ---
 
 async function initAudio() {
@@ -201,11 +243,13 @@ async function startTuner() {
         await initAudio();
 
         analyser = audioContext.createAnalyser();
-        analyser.fftSize = 2048;
+        updateDetectionRange(); // Sizes the analyser now that the sample rate is known
 
-        const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
-        microphone = audioContext.createMediaStreamSource(stream);
-        microphone.connect(analyser);
+        noiseGate = NoiseGate.createState(NoiseGate.toPrefs(noiseGate)); // Fresh onset reference
+        inputChain = AudioInput.createChain(audioContext, analyser, inputPrefs.gain);
+        await AudioInput.open(inputChain, inputPrefs);
+        microphone = inputChain.source;
+        renderInputDevices(); // Device labels are only readable once the mic is allowed
 
         isRunning = true;
         startBtn.innerHTML = '<span class="icon">⏹</span> Stop Tuner';
@@ -227,7 +271,11 @@ async function startTuner() {
 function stopTuner() {
     if (!isRunning) return;
 
-    if (microphone) microphone.disconnect();
+    if (inputChain) AudioInput.release(inputChain); // Also frees the device
+    microphone = null;
+    noiseGate.calibration = null;
+    saveNoiseGate(); // Keep what the adaptive gate learned
+    updateInputMeter(null);
 
     // Stop any reference tone
     stopReferenceTone();
@@ -264,6 +312,7 @@ themeToggle.addEventListener('click', () => {
         localStorage.setItem('tuner-theme', 'light');
     }
     updateThemeIcon();
+    readStrobeColors();
 });
 
 function updateThemeIcon() {
@@ -272,13 +321,660 @@ function updateThemeIcon() {
     document.querySelector('.moon-icon').style.display = isLight ? 'block' : 'none';
 }
 
+// --- Detection Algorithm Picker ---
+// Built here rather than in the markup so it always lists every registered detector
+const algorithmSelect = document.createElement('select');
+algorithmSelect.id = 'algorithm-select';
+algorithmSelect.className = 'algorithm-select';
+algorithmSelect.title = 'Pitch detection algorithm';
+
+function renderAlgorithmOptions() {
+    algorithmSelect.innerHTML = '';
+    PitchCore.algorithms().forEach(([value, label]) => {
+        const opt = document.createElement('option');
+        opt.value = value;
+        opt.textContent = label;
+        algorithmSelect.appendChild(opt);
+    });
+    algorithmSelect.value = config.algorithm;
+}
+
+algorithmSelect.addEventListener('change', () => {
+    config.algorithm = algorithmSelect.value;
+    localStorage.setItem('tuner-algorithm', config.algorithm);
+    resetProcessing();
+});
+
+renderAlgorithmOptions();
+tuningSelectBtn.insertAdjacentElement('afterend', algorithmSelect);
+
+// --- Display Mode (Needle / Strobe) ---
+// Both views are fed by processPitch(); the strobe additionally measures phase drift per frame
+const displayModeBtn = document.createElement('button');
+displayModeBtn.className = 'display-mode-btn';
+const strobeCanvas = document.createElement('canvas');
+strobeCanvas.className = 'strobe-canvas';
+strobeCanvas.width = 300;
+strobeCanvas.height = 72;
+let strobeColors = {};
+
+function readStrobeColors() {
+    const style = getComputedStyle(document.body);
+    strobeColors = {
+        band: style.getPropertyValue('--needle-color').trim(),
+        inTune: style.getPropertyValue('--accent-green').trim(),
+        text: style.getPropertyValue('--text-dim').trim()
+    };
+}
+
+function setDisplayMode(mode) {
+    displayMode = mode;
+    localStorage.setItem('display-mode', mode);
+
+    const isStrobe = mode === 'strobe';
+    needleEl.parentElement.style.display = isStrobe ? 'none' : '';
+    strobeCanvas.style.display = isStrobe ? '' : 'none';
+    displayModeBtn.textContent = isStrobe ? 'Needle View' : 'Strobe View';
+    displayModeBtn.title = isStrobe ? 'Switch to needle display' : 'Switch to strobe display';
+
+    readStrobeColors();
+    Strobe.draw(strobeCanvas, strobePhase, null, strobeColors);
+}
+
+displayModeBtn.addEventListener('click', () => {
+    setDisplayMode(displayMode === 'strobe' ? 'needle' : 'strobe');
+});
+
+needleEl.parentElement.insertAdjacentElement('afterend', strobeCanvas);
+algorithmSelect.insertAdjacentElement('afterend', displayModeBtn);
+setDisplayMode(displayMode);
+
+// --- Concert Pitch & Temperament ---
+const pitchPanel = document.createElement('div');
+pitchPanel.className = 'pitch-settings';
+const pitchInfoEl = document.createElement('div');
+pitchInfoEl.className = 'pitch-reference';
+
+function renderPitchSettings() {
+    pitchPanel.innerHTML = '';
+    const temperament = TEMPERAMENTS[pitchPrefs.temperament];
+
+    // A4 reference
+    const refLabel = document.createElement('label');
+    refLabel.textContent = 'A4 ';
+    const refInput = document.createElement('input');
+    refInput.type = 'number';
+    refInput.min = Temperament.MIN_REFERENCE;
+    refInput.max = Temperament.MAX_REFERENCE;
+    refInput.step = 0.5;
+    refInput.value = pitchPrefs.referencePitch;
+    refInput.onchange = () => savePitchPrefs({ referencePitch: refInput.value });
+    refLabel.appendChild(refInput);
+    refLabel.appendChild(document.createTextNode(' Hz'));
+    pitchPanel.appendChild(refLabel);
+
+    // Temperament
+    const tempSelect = document.createElement('select');
+    tempSelect.title = 'Temperament';
+    Object.entries(TEMPERAMENTS).forEach(([key, t]) => {
+        const opt = document.createElement('option');
+        opt.value = key;
+        opt.textContent = t.name;
+        tempSelect.appendChild(opt);
+    });
+    tempSelect.value = pitchPrefs.temperament;
+    tempSelect.onchange = () => savePitchPrefs({ temperament: tempSelect.value });
+    pitchPanel.appendChild(tempSelect);
+
+    if (temperament.type === 'note' && pitchPrefs.temperament !== 'equal') {
+        // Key the temperament is built on
+        const keySelect = document.createElement('select');
+        keySelect.title = 'Temperament key';
+        Temperament.KEY_NAMES.forEach((name, i) => {
+            const opt = document.createElement('option');
+            opt.value = i;
+            opt.textContent = name;
+            keySelect.appendChild(opt);
+        });
+        keySelect.value = pitchPrefs.key;
+        keySelect.onchange = () => savePitchPrefs({ key: keySelect.value });
+        pitchPanel.appendChild(keySelect);
+    } else if (temperament.type === 'string') {
+        // Per-string cents, lowest string first
+        const offsetsInput = document.createElement('input');
+        offsetsInput.type = 'text';
+        offsetsInput.title = 'Per-string offsets in cents (low to high)';
+        offsetsInput.value = pitchPrefs.stringOffsets.join(', ');
+        offsetsInput.onchange = () => savePitchPrefs({ stringOffsets: Temperament.parseOffsets(offsetsInput.value) });
+        pitchPanel.appendChild(offsetsInput);
+    }
+
+    pitchInfoEl.textContent = Temperament.describe(pitchPrefs);
+}
+
+function savePitchPrefs(updates) {
+    pitchPrefs = Temperament.normalize({ ...pitchPrefs, ...updates });
+    localStorage.setItem('pitch-prefs', JSON.stringify(pitchPrefs));
+    refreshTargets();
+    renderPitchSettings();
+}
+
+// Re-derive targets after a pitch setting changed, keeping the current string selection
+function refreshTargets() {
+    stopReferenceTone(); // Its button is about to be re-rendered
+    guitarStrings = buildTargets(activeNotes);
+    updateDetectionRange();
+
+    if (!isChromaticMode) {
+        renderStringButtons(activeNotes);
+        const btn = Array.from(document.querySelectorAll('.string-btn')).find(b => b.dataset.index === String(currentString));
+        if (btn) btn.classList.add('active');
+    }
+}
+
+// Targets depend on the saved pitch settings; buttons carry string indices from here on
+guitarStrings = buildTargets(activeNotes);
+renderStringButtons(activeNotes);
+renderPitchSettings();
+algorithmSelect.insertAdjacentElement('afterend', pitchPanel);
+freqEl.parentElement.insertAdjacentElement('afterend', pitchInfoEl);
+
+// --- Transpose & Capo ---
+// Shift the whole tuning without building a custom one: targets follow the sounding pitch,
+// string buttons keep the shape names (see buildTargets / renderStringButtons)
+const offsetPanel = document.createElement('div');
+offsetPanel.className = 'tuning-offset';
+
+const transposeSelect = document.createElement('select');
+transposeSelect.title = 'Transpose (semitones)';
+for (let st = PitchCore.MAX_TRANSPOSE; st >= -PitchCore.MAX_TRANSPOSE; st--) {
+    const opt = document.createElement('option');
+    opt.value = st;
+    opt.textContent = st === 0 ? 'No Transpose' : `${st > 0 ? '+' : '−'}${Math.abs(st)} st`;
+    transposeSelect.appendChild(opt);
+}
+transposeSelect.addEventListener('change', () => setTuningOffset({ transpose: transposeSelect.value }));
+
+const capoSelect = document.createElement('select');
+capoSelect.title = 'Capo fret';
+for (let fret = 0; fret <= PitchCore.MAX_CAPO; fret++) {
+    const opt = document.createElement('option');
+    opt.value = fret;
+    opt.textContent = fret === 0 ? 'No Capo' : `Capo ${fret}`;
+    capoSelect.appendChild(opt);
+}
+capoSelect.addEventListener('change', () => setTuningOffset({ capo: capoSelect.value }));
+
+offsetPanel.appendChild(transposeSelect);
+offsetPanel.appendChild(capoSelect);
+
+function renderOffsetControls() {
+    transposeSelect.value = tuningOffset.transpose;
+    capoSelect.value = tuningOffset.capo;
+    offsetPanel.style.display = isChromaticMode ? 'none' : ''; // Chromatic has no strings to shift
+}
+
+// Re-applies the base tuning with the new offset (which also files it under recents)
+function setTuningOffset(updates) {
+    applyTuning(activeInstrument, activeTuningName, activeNotes, activeInstrument === 'custom',
+        { ...tuningOffset, ...updates });
+}
+
+tuningSelectBtn.insertAdjacentElement('afterend', offsetPanel);
+renderOffsetControls();
+renderTuningLabel();
+
+// --- Input Settings ---
+// Device, browser voice processing and input gain; changes re-open the stream in place
+const inputBtn = document.createElement('button');
+inputBtn.className = 'input-settings-btn';
+inputBtn.textContent = 'Input Settings';
+const inputPanel = document.createElement('div');
+inputPanel.className = 'input-settings';
+inputPanel.style.display = 'none';
+
+const deviceSelect = document.createElement('select');
+deviceSelect.title = 'Input device';
+deviceSelect.addEventListener('change', () => saveInputPrefs({ deviceId: deviceSelect.value }, true));
+
+const processingToggles = Object.entries(AudioInput.PROCESSING).map(([key, label]) => {
+    const toggle = document.createElement('label');
+    const box = document.createElement('input');
+    box.type = 'checkbox';
+    box.checked = inputPrefs[key];
+    box.addEventListener('change', () => saveInputPrefs({ [key]: box.checked }, true));
+    toggle.append(box, ` ${label}`);
+    return toggle;
+});
+
+const gainLabel = document.createElement('label');
+const gainInput = document.createElement('input');
+gainInput.type = 'range';
+gainInput.min = AudioInput.MIN_GAIN;
+gainInput.max = AudioInput.MAX_GAIN;
+gainInput.step = 1;
+gainInput.value = inputPrefs.gain;
+const gainValueEl = document.createElement('span');
+gainInput.addEventListener('input', () => saveInputPrefs({ gain: gainInput.value }, false));
+gainLabel.append('Gain ', gainInput, ' ', gainValueEl);
+
+const inputMeter = document.createElement('div');
+inputMeter.className = 'input-meter';
+inputMeter.style.height = '6px';
+inputMeter.style.background = 'var(--text-dim)';
+inputMeter.style.borderRadius = '3px';
+inputMeter.style.overflow = 'hidden';
+const inputMeterFill = document.createElement('div');
+inputMeterFill.style.height = '100%';
+inputMeterFill.style.width = '0%';
+inputMeterFill.style.background = 'var(--accent-green)';
+inputMeter.appendChild(inputMeterFill);
+
+// Gate threshold marker on the meter
+const gateMarker = document.createElement('div');
+gateMarker.style.position = 'absolute';
+gateMarker.style.top = '0';
+gateMarker.style.bottom = '0';
+gateMarker.style.width = '2px';
+gateMarker.style.background = 'var(--needle-color)';
+inputMeter.style.position = 'relative';
+inputMeter.appendChild(gateMarker);
+
+// Noise gate: adaptive / calibrated floor, and the calibration step
+const gateSelect = document.createElement('select');
+gateSelect.title = 'Noise gate';
+Object.entries(NoiseGate.MODES).forEach(([value, label]) => {
+    const opt = document.createElement('option');
+    opt.value = value;
+    opt.textContent = label;
+    gateSelect.appendChild(opt);
+});
+gateSelect.value = noiseGate.mode;
+gateSelect.addEventListener('change', () => {
+    noiseGate.mode = gateSelect.value;
+    noiseGate.blocks = [];
+    saveNoiseGate();
+});
+
+const calibrateBtn = document.createElement('button');
+calibrateBtn.className = 'calibrate-btn';
+calibrateBtn.textContent = 'Calibrate Noise';
+calibrateBtn.title = 'Measure the room noise (keep the strings quiet)';
+calibrateBtn.addEventListener('click', async () => {
+    if (!isRunning) await startTuner();
+    if (!isRunning) return;
+    NoiseGate.startCalibration(noiseGate);
+    calibrateBtn.disabled = true;
+    statusMsg.textContent = "Keep quiet: measuring noise...";
+});
+
+const gateInfoEl = document.createElement('div');
+gateInfoEl.className = 'gate-info';
+
+inputPanel.append(deviceSelect, ...processingToggles, gainLabel, inputMeter, gateSelect, calibrateBtn, gateInfoEl);
+
+inputBtn.addEventListener('click', () => {
+    const show = inputPanel.style.display === 'none';
+    inputPanel.style.display = show ? '' : 'none';
+    if (show) renderInputDevices();
+});
+
+async function renderInputDevices() {
+    let devices = [];
+    try {
+        devices = await AudioInput.listDevices();
+    } catch (e) { console.error("Error listing inputs", e); }
+
+    deviceSelect.innerHTML = '';
+    [{ deviceId: '', label: 'Default Input' }, ...devices.filter(d => d.deviceId && d.deviceId !== 'default')]
+        .forEach(d => {
+            const opt = document.createElement('option');
+            opt.value = d.deviceId;
+            opt.textContent = d.label;
+            deviceSelect.appendChild(opt);
+        });
+    deviceSelect.value = inputPrefs.deviceId;
+    if (deviceSelect.value !== inputPrefs.deviceId) deviceSelect.value = ''; // Saved device unplugged
+}
+
+// reopen: the change needs a new stream (device / constraints); gain is applied live
+async function saveInputPrefs(updates, reopen) {
+    inputPrefs = AudioInput.normalize({ ...inputPrefs, ...updates });
+    localStorage.setItem('input-prefs', JSON.stringify(inputPrefs));
+    gainValueEl.textContent = `${inputPrefs.gain > 0 ? '+' : ''}${inputPrefs.gain} dB`;
+
+    if (!isRunning || !inputChain) return;
+    if (!reopen) {
+        AudioInput.setGain(inputChain, inputPrefs.gain);
+        return;
+    }
+    try {
+        await AudioInput.open(inputChain, inputPrefs);
+        microphone = inputChain.source;
+        resetProcessing(); // Old buffer contents came from the previous input
+        noiseGate = NoiseGate.createState(NoiseGate.toPrefs(noiseGate)); // New onset reference
+        statusMsg.textContent = "Input switched";
+    } catch (err) {
+        console.error("Input Error:", err);
+        statusMsg.textContent = "Input unavailable";
+        statusMsg.className = 'status-pill warning';
+    }
+}
+
+function finishCalibration() {
+    calibrateBtn.disabled = false;
+    saveNoiseGate();
+    statusMsg.textContent = "Noise gate calibrated";
+}
+
+function saveNoiseGate() {
+    localStorage.setItem('noise-gate', JSON.stringify(NoiseGate.toPrefs(noiseGate)));
+    gateInfoEl.textContent = NoiseGate.describe(noiseGate);
+}
+
+// level: AudioInput.level() of the current buffer, or null when stopped
+function updateInputMeter(level) {
+    if (inputPanel.style.display === 'none' && level) return;
+    const progress = NoiseGate.calibrationProgress(noiseGate);
+    gateInfoEl.textContent = progress !== null
+        ? `Measuring noise... ${Math.round(progress * 100)}%`
+        : `${NoiseGate.describe(noiseGate)}${noiseGate.open ? ' · open' : ''}`;
+    gateMarker.style.left = `${AudioInput.meterFraction(20 * Math.log10(NoiseGate.openLevel(noiseGate))) * 100}%`;
+
+    const fraction = level ? AudioInput.meterFraction(level.db) : 0;
+    inputMeterFill.style.width = `${(fraction * 100).toFixed(1)}%`;
+    inputMeterFill.style.background = level && level.clipped ? 'var(--accent-red)' : 'var(--accent-green)';
+    inputMeter.title = level && isFinite(level.db) ? `${level.db.toFixed(1)} dBFS` : '';
+}
+
+gainValueEl.textContent = `${inputPrefs.gain > 0 ? '+' : ''}${inputPrefs.gain} dB`;
+gateInfoEl.textContent = NoiseGate.describe(noiseGate);
+AudioInput.watchDevices(renderInputDevices);
+renderInputDevices();
+displayModeBtn.insertAdjacentElement('afterend', inputBtn);
+pitchPanel.insertAdjacentElement('afterend', inputPanel);
+
+// --- Intonation Setup ---
+// Guided open-string vs 12th-fret comparison, one report list per instrument
+const intonationBtn = document.createElement('button');
+intonationBtn.className = 'intonation-btn';
+intonationBtn.textContent = 'Intonation Setup';
+const intonationPanel = document.createElement('div');
+intonationPanel.className = 'intonation-panel';
+intonationPanel.style.display = 'none';
+let intonationLiveEl = null;
+
+intonationBtn.addEventListener('click', () => {
+    if (intonationPanel.style.display === 'none') {
+        intonationPanel.style.display = '';
+        renderIntonationPanel();
+    } else {
+        closeIntonation();
+    }
+});
+
+function startIntonationSession() {
+    if (isChromaticMode) return;
+    if (strumMode) setStrumMode(false);
+    const targets = guitarStrings.map(s => ({ note: s.note, freq: s.freq }));
+    intonationSession = Intonation.createSession(activeInstrument, activeTuningName, targets);
+    updateDetectionRange();
+    renderIntonationPanel();
+    if (!isRunning) startTuner();
+}
+
+function saveIntonationReport() {
+    Intonation.addReport(intonationReports, Intonation.toReport(intonationSession));
+    localStorage.setItem('intonation-reports', JSON.stringify(intonationReports));
+    intonationSession = null;
+    updateDetectionRange();
+    renderIntonationPanel(intonationReports[activeInstrument][0]);
+}
+
+function closeIntonation() {
+    intonationSession = null;
+    intonationPanel.style.display = 'none';
+    updateDetectionRange();
+}
+
+// Called every frame while a session runs
+function feedIntonation(buf, frequency) {
+    const expected = Intonation.expectedFreq(intonationSession);
+    let freq = frequency;
+
+    // Refine with the strobe's phase measurement when the reading is near the expected note
+    if (freq > 0 && Math.abs(calculateCents(freq, expected)) < Strobe.MAX_CENTS * 0.75) {
+        const fine = Strobe.measureCents(buf, audioContext.sampleRate, expected);
+        if (fine !== null) freq = expected * Math.pow(2, fine / 1200);
+    }
+
+    if (Intonation.addReading(intonationSession, freq)) {
+        playConfirmationSound();
+        updateDetectionRange(); // Octave targets follow the measured open strings
+        renderIntonationPanel();
+    } else if (intonationLiveEl) {
+        intonationLiveEl.textContent = freq > 0
+            ? `${freq.toFixed(2)} Hz (${Intonation.formatCents(calculateCents(freq, expected))})`
+            : 'Listening...';
+    }
+}
+
+// Shows the running session, or the start button and saved reports (viewing one if given)
+function renderIntonationPanel(viewReport = null) {
+    intonationPanel.innerHTML = '';
+    intonationLiveEl = null;
+    const instrumentName = TuningCatalog.INSTRUMENTS[activeInstrument]?.name || 'Custom';
+
+    const title = document.createElement('h3');
+    title.textContent = `Intonation · ${instrumentName}`;
+    intonationPanel.appendChild(title);
+
+    if (intonationSession) {
+        const prompt = document.createElement('div');
+        prompt.className = 'intonation-prompt';
+        prompt.textContent = Intonation.prompt(intonationSession);
+        intonationPanel.appendChild(prompt);
+
+        if (!Intonation.isComplete(intonationSession)) {
+            intonationLiveEl = document.createElement('div');
+            intonationLiveEl.className = 'intonation-live';
+            intonationLiveEl.textContent = 'Listening...';
+            intonationPanel.appendChild(intonationLiveEl);
+        }
+
+        intonationPanel.appendChild(renderIntonationTable(intonationSession.strings, true));
+
+        const actions = document.createElement('div');
+        actions.className = 'intonation-actions';
+        if (!Intonation.isComplete(intonationSession)) {
+            actions.appendChild(makeIntonationButton('Skip String', () => {
+                Intonation.skip(intonationSession);
+                renderIntonationPanel();
+            }));
+        }
+        actions.appendChild(makeIntonationButton('Save Report', saveIntonationReport));
+        actions.appendChild(makeIntonationButton('Cancel', () => {
+            intonationSession = null;
+            updateDetectionRange();
+            renderIntonationPanel();
+        }));
+        intonationPanel.appendChild(actions);
+        return;
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'intonation-actions';
+    const startBtnEl = makeIntonationButton(`Start Setup (${activeTuningName})`, startIntonationSession);
+    startBtnEl.disabled = isChromaticMode;
+    actions.appendChild(startBtnEl);
+    actions.appendChild(makeIntonationButton('Close', closeIntonation));
+    intonationPanel.appendChild(actions);
+
+    // Saved reports for this instrument
+    const reports = intonationReports[activeInstrument] || [];
+    if (reports.length === 0) return;
+
+    const select = document.createElement('select');
+    select.title = 'Saved setup reports';
+    reports.forEach((r, i) => {
+        const opt = document.createElement('option');
+        opt.value = i;
+        opt.textContent = `${new Date(r.date).toLocaleString()} · ${r.tuning}`;
+        select.appendChild(opt);
+    });
+    const shown = viewReport || reports[0];
+    select.value = reports.indexOf(shown);
+    select.onchange = () => renderIntonationPanel(reports[select.value]);
+    intonationPanel.appendChild(select);
+    intonationPanel.appendChild(renderIntonationTable(shown.strings, false));
+}
+
+function renderIntonationTable(strings, editable) {
+    const table = document.createElement('table');
+    table.className = 'intonation-table';
+    table.innerHTML = '<tr><th>String</th><th>Open</th><th>12th</th><th>Error</th><th>Adjust</th><th></th></tr>';
+
+    strings.forEach((s, i) => {
+        const result = s.result !== undefined ? s.result : Intonation.evaluate(s);
+        const row = document.createElement('tr');
+        if (editable && intonationSession.index === i) row.classList.add('active');
+        if (result) row.classList.add(`advice-${result.advice}`);
+
+        [s.note,
+            s.open ? `${s.open.toFixed(2)} Hz` : '--',
+            s.fret12 ? `${s.fret12.toFixed(2)} Hz` : '--',
+            result ? Intonation.formatCents(result.cents) : '--',
+            result ? Intonation.ADVICE[result.advice] : ''
+        ].forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+
+        const actionCell = document.createElement('td');
+        if (editable) {
+            actionCell.appendChild(makeIntonationButton('Retake', () => {
+                Intonation.retake(intonationSession, i);
+                updateDetectionRange();
+                renderIntonationPanel();
+            }));
+        }
+        row.appendChild(actionCell);
+        table.appendChild(row);
+    });
+    return table;
+}
+
+function makeIntonationButton(label, onClick) {
+    const btn = document.createElement('button');
+    btn.className = 'intonation-action';
+    btn.textContent = label;
+    btn.onclick = onClick;
+    return btn;
+}
+
+displayModeBtn.insertAdjacentElement('afterend', intonationBtn);
+stringGrid.insertAdjacentElement('afterend', intonationPanel);
+
+// --- Strum Mode ---
+// Strum all open strings once; every string's deviation shows on its button
+const strumBtn = document.createElement('button');
+strumBtn.className = 'strum-mode-btn';
+strumBtn.textContent = 'Strum Mode';
+strumBtn.title = 'Tune all strings from a single strum';
+
+strumBtn.addEventListener('click', () => setStrumMode(!strumMode));
+
+function setStrumMode(enabled) {
+    if (enabled && isChromaticMode) return; // Needs a fixed set of strings
+    if (enabled && intonationSession) closeIntonation();
+
+    strumMode = enabled;
+    strumResults = [];
+    strumBtn.classList.toggle('active', enabled);
+    sizeAnalysis();
+    resetUI();
+    renderStrumIndicators(0);
+
+    if (enabled) {
+        activateAutoMode();
+        tuningStatusEl.textContent = "STRUM ALL STRINGS";
+        if (!isRunning) startTuner();
+    }
+}
+
+function updateStrum(buf, listening, time) {
+    if (time - lastStrumTime < config.strumInterval) return;
+    lastStrumTime = time;
+
+    if (listening) {
+        const targets = guitarStrings.map(s => s.freq);
+        Polyphonic.analyse(buf, audioContext.sampleRate, targets).forEach((result, i) => {
+            if (result) strumResults[i] = { ...result, time };
+        });
+    }
+    renderStrumIndicators(time);
+}
+
+// Colours each string button flat / sharp / in tune from its latest strum reading
+function renderStrumIndicators(time) {
+    const btns = stringGrid.querySelectorAll('.string-btn');
+    let heard = 0;
+    let tuned = 0;
+
+    btns.forEach((btn, i) => {
+        // Buttons from the initial markup don't have a readout yet
+        let indicator = btn.parentElement.querySelector('.string-cents');
+        if (!indicator) {
+            indicator = document.createElement('span');
+            indicator.className = 'string-cents';
+            btn.parentElement.appendChild(indicator);
+        }
+        const result = strumResults[i];
+        const fresh = strumMode && result && time - result.time < config.strumHoldTime;
+
+        if (!fresh) {
+            delete btn.dataset.tune;
+            btn.style.borderColor = '';
+            indicator.textContent = '';
+            return;
+        }
+
+        heard++;
+        const cents = result.cents;
+        let tune = 'in-tune';
+        if (cents < -config.tunedTolerance) tune = 'flat';
+        else if (cents > config.tunedTolerance) tune = 'sharp';
+        if (tune === 'in-tune') tuned++;
+
+        btn.dataset.tune = tune;
+        btn.style.borderColor = tune === 'in-tune' ? 'var(--accent-green)'
+            : tune === 'flat' ? '#ffaa00' : 'var(--accent-red)';
+        // "~" marks strings only heard through partials shared with other strings
+        indicator.textContent = `${result.ambiguous ? '~' : ''}${cents > 0 ? '+' : ''}${Math.round(cents)}¢`;
+    });
+
+    if (!strumMode) return;
+    if (heard > 0) {
+        tuningStatusEl.textContent = `${tuned}/${btns.length} IN TUNE`;
+        tuningStatusEl.className = "tuning-status";
+        tuningStatusEl.style.color = tuned === btns.length ? 'var(--accent-green)' : 'var(--text-dim)';
+    } else {
+        tuningStatusEl.textContent = "STRUM ALL STRINGS";
+        tuningStatusEl.className = "tuning-status idle";
+        tuningStatusEl.style.color = "var(--text-dim)";
+    }
+}
+
+intonationBtn.insertAdjacentElement('afterend', strumBtn);
+
 // Restore String/Mode
 const savedString = localStorage.getItem('last-string');
 if (savedString) {
     if (savedString === 'AUTO') {
         activateAutoMode();
     } else {
-        const btn = Array.from(stringBtns).find(b => b.dataset.note === savedString);
+        const btn = Array.from(document.querySelectorAll('.string-btn')).find(b => b.dataset.index === savedString);
         if (btn) selectString(btn);
     }
 }
@@ -287,16 +983,23 @@ if (savedString) {
 function selectString(btn) {
     // Need to re-query as buttons are dynamic now
     const currentBtns = document.querySelectorAll('.string-btn');
-    currentBtns.forEach(b => b.classList.remove('active'));
+    currentBtns.forEach(b => {
+        b.classList.remove('active');
+        b.setAttribute('aria-pressed', 'false');
+    });
     autoBtn.classList.remove('active');
+    autoBtn.setAttribute('aria-pressed', 'false');
 
     btn.classList.add('active');
-    currentString = btn.dataset.note;
-    localStorage.setItem('last-string', currentString);
+    btn.setAttribute('aria-pressed', 'true');
+    currentString = parseInt(btn.dataset.index);
+    localStorage.setItem('last-string', String(currentString));
 
     // Initial visual update
-    updateNoteDisplay(currentString.replace(/\d/, ''), currentString.slice(-1), false);
-    statusMsg.textContent = `Target: ${currentString} (${guitarStrings[currentString].freq} Hz)`;
+    const s = guitarStrings[currentString];
+    updateNoteDisplay(s.note.replace(/\d/, ''), s.note.slice(-1), false);
+    statusMsg.textContent = `Target: ${s.label} (${s.freq.toFixed(2)} Hz)`;
+    announce(`Target ${AccessibleFeedback.spokenNote(s.note)}`);
 
     // Reset Logic
     resetProcessing();
@@ -304,12 +1007,17 @@ function selectString(btn) {
 
 function activateAutoMode() {
     const currentBtns = document.querySelectorAll('.string-btn');
-    currentBtns.forEach(b => b.classList.remove('active'));
+    currentBtns.forEach(b => {
+        b.classList.remove('active');
+        b.setAttribute('aria-pressed', 'false');
+    });
     autoBtn.classList.add('active');
+    autoBtn.setAttribute('aria-pressed', 'true');
     currentString = 'AUTO';
     localStorage.setItem('last-string', 'AUTO');
 
     statusMsg.textContent = "Auto Mode";
+    announce('Auto mode');
     resetProcessing();
 }
 
@@ -337,75 +1045,179 @@ toneBtns.forEach(btn => {
 // --- Tuning Selection Logic ---
 
 // 1. toggle Screen
-tuningSelectBtn.addEventListener('click', () => {
+tuningScreen.setAttribute('role', 'dialog');
+tuningScreen.setAttribute('aria-label', 'Select tuning');
+
+function openTuningScreen() {
     renderRecentTunings(); // Refresh recent
     renderInstrumentList(); // Ensure list is built
     tuningScreen.classList.remove('hidden');
-});
+    catalogSearch.focus();
+}
 
-closeTuningBtn.addEventListener('click', () => {
+function closeTuningScreen() {
+    const hadFocus = tuningScreen.contains(document.activeElement);
     tuningScreen.classList.add('hidden');
-});
+    if (hadFocus) tuningSelectBtn.focus(); // Keyboard users land back where they opened it
+}
+
+tuningSelectBtn.addEventListener('click', openTuningScreen);
+closeTuningBtn.addEventListener('click', closeTuningScreen);
 
 // 2. Apply Tuning
-function applyTuning(instrument, tuningName, notesArray, isCustom = false) {
+// notesArray is the written (shape) tuning; offset ({ transpose, capo }) defaults to the current one
+function applyTuning(instrument, tuningName, notesArray, isCustom = false, offset = tuningOffset) {
     // 1. Update State
     activeInstrument = instrument;
     activeTuningName = tuningName;
     isChromaticMode = (instrument === 'chromatic');
 
-    // 2. Generate Target Strings Object
-    const newStrings = {};
-    if (isChromaticMode) {
-        // Generate ALL notes from C1 to B6 (just a wide range approx)
-        // Actually, just generate a huge map? 
-        // Or better: keep guitarStrings empty and use a special logic in detectNote?
-        // To keep existing logic intact ("processPitch" relies on guitarStrings),
-        // we will generating 'guitarStrings' with ALL semitones relevant to the instrument range?
-        // No, for "Chromatic", we'll populate it with a wide range of notes.
-        // Let's do E1 to E6 roughly for general usage.
-
-        for (let i = 1; i <= 6; i++) {
-            NOTE_NAMES.forEach(n => {
-                const note = n + i;
-                const f = getNoteFreq(note);
-                // Windows can overlap in chromatic, simply find closest.
-                newStrings[note] = { freq: f, min: f * 0.94, max: f * 1.06 };
-            });
-        }
-    } else {
-        notesArray.forEach(note => {
-            const f = getNoteFreq(note);
-            // +/- 15% window approx or manual define? 
-            // Using logic from original: E2(82) had range 70-95. That's approx -15% +15%.
-            newStrings[note] = { freq: f, min: f * 0.85, max: f * 1.15 };
-        });
-    }
+    activeNotes = notesArray;
+    activeTuningId = (isCustom || isChromaticMode) ? null : TuningCatalog.lookup(instrument, tuningName);
+    tuningOffset = PitchCore.normalizeOffset(offset);
+    localStorage.setItem('tuning-offset', JSON.stringify(tuningOffset));
+    strumResults = []; // Indexed by string, so stale for a new tuning
+    if (isChromaticMode && strumMode) setStrumMode(false);
 
-    guitarStrings = newStrings;
+    // 2. Generate Target Strings Object
+    guitarStrings = buildTargets(notesArray);
+    updateDetectionRange();
 
     // 3. Update UI
     if (!isChromaticMode) {
         renderStringButtons(notesArray);
-        tuningSelectBtn.textContent = (instrument === 'guitar' && tuningName === 'Standard')
-            ? 'Standard Tuning'
-            : `${tuningName}`;
     } else {
         // Chromatic UI
         stringGrid.innerHTML = '<div style="color:var(--text-dim); padding:1rem;">Chromatic Mode Active</div>';
-        tuningSelectBtn.textContent = "Chromatic";
+        renderChromaticRangeControls();
     }
+    renderTuningLabel();
+    renderOffsetControls();
 
     // 4. Persistence
-    if (!isCustom && !isChromaticMode) {
-        addToRecent(instrument, tuningName, notesArray);
+    if (activeTuningId) {
+        addToRecent(activeTuningId, tuningOffset);
     }
 
     // Auto-select "Auto" mode
     activateAutoMode();
 
+    // Show the new instrument's setup reports (a running session keeps its own strings)
+    if (intonationPanel.style.display !== 'none' && !intonationSession) renderIntonationPanel();
+
     // Close screen
-    tuningScreen.classList.add('hidden');
+    closeTuningScreen();
+}
+
+// Applies a catalog tuning by its stable id (see tunings.js)
+function applyCatalogTuning(id, offset) {
+    const t = TuningCatalog.get(id);
+    if (t) applyTuning(t.instrument, t.name, t.notes, false, offset);
+}
+
+// Target frequencies + windows for a tuning, under the current pitch settings.
+// Returns one entry per string/course (see courses.js), so repeated notes stay separate.
+function buildTargets(notesArray) {
+    if (isChromaticMode) {
+        // Every semitone within the configured chromatic range (default C1 to B6).
+        // "processPitch" relies on guitarStrings, so chromatic is just a very dense tuning.
+        // Windows can overlap in chromatic, simply find closest.
+        return Courses.build(getNotesInRange(config.chromaticRange.low, config.chromaticRange.high),
+            note => getNoteFreq(note), 0.06);
+    }
+    // Sweetened temperaments shift each string by its own offset; transpose/capo moves them all.
+    // Window: E2(82) had range 70-95 in the original, approx -15% +15%.
+    return PitchCore.buildStrings(notesArray, pitchPrefs, undefined, tuningOffset);
+}
+
+// Tuning button text, e.g. "Standard Tuning", "Drop D (−1 st · Capo 2)"
+function renderTuningLabel() {
+    if (isChromaticMode) {
+        tuningSelectBtn.textContent = "Chromatic";
+        return;
+    }
+    const name = (activeInstrument === 'guitar' && activeTuningName === 'Standard') ? 'Standard Tuning' : activeTuningName;
+    const offset = PitchCore.describeOffset(tuningOffset);
+    tuningSelectBtn.textContent = offset ? `${name} (${offset})` : name;
+}
+
+// Detection range follows the targets: lowest window floor to highest window ceiling
+function updateDetectionRange() {
+    const targets = Courses.members(guitarStrings);
+    if (targets.length === 0) return;
+
+    config.minFreq = Math.min(...targets.map(s => s.min));
+    config.maxFreq = Math.max(...targets.map(s => s.max));
+    // Intonation setup listens for 12th-fret octaves above the targets
+    if (intonationSession) {
+        config.maxFreq = Math.max(config.maxFreq, Intonation.maxFrequency(intonationSession) * 1.15);
+    }
+    sizeAnalysis();
+}
+
+// Lag window and buffer size for the current range.
+// The buffer must hold two periods of the lowest note, so low instruments get a bigger one.
+function sizeAnalysis() {
+    if (!audioContext) return; // Re-run by startTuner once the sample rate is known
+
+    const plan = PitchCore.plan(audioContext.sampleRate, config);
+    detectionLags = plan.lags;
+    let size = plan.size;
+    if (strumMode) size = Math.max(size, config.strumBufferSize);
+
+    if (size !== config.bufferSize || analysisBuffer.length !== size) {
+        config.bufferSize = size;
+        analysisBuffer = new Float32Array(size);
+    }
+    if (analyser) analyser.fftSize = size;
+}
+
+// All semitones from low to high inclusive, e.g. ('E1', 'G1') -> E1 F1 F#1 G1
+function getNotesInRange(low, high) {
+    const notes = [];
+    const lowIndex = getNoteIndex(low);
+    const highIndex = getNoteIndex(high);
+    for (let i = lowIndex; i <= highIndex; i++) {
+        notes.push(NOTE_NAMES[i % 12] + Math.floor(i / 12));
+    }
+    return notes;
+}
+
+function renderChromaticRangeControls() {
+    const wrap = document.createElement('div');
+    wrap.className = 'chromatic-range';
+
+    const allNotes = getNotesInRange('A0', 'C8');
+    const makeSelect = (key, label) => {
+        const select = document.createElement('select');
+        select.title = label;
+        allNotes.forEach(note => {
+            const opt = document.createElement('option');
+            opt.value = note;
+            opt.textContent = note;
+            select.appendChild(opt);
+        });
+        select.value = config.chromaticRange[key];
+        select.onchange = () => {
+            const range = { ...config.chromaticRange, [key]: select.value };
+            if (getNoteIndex(range.low) >= getNoteIndex(range.high)) {
+                select.value = config.chromaticRange[key]; // Keep low below high
+                return;
+            }
+            config.chromaticRange = range;
+            localStorage.setItem('chromatic-range', JSON.stringify(range));
+            applyTuning('chromatic', 'Chromatic', []);
+        };
+        return select;
+    };
+
+    const label = document.createElement('span');
+    label.textContent = 'Range';
+    wrap.appendChild(label);
+    wrap.appendChild(makeSelect('low', 'Lowest note'));
+    wrap.appendChild(document.createTextNode('–'));
+    wrap.appendChild(makeSelect('high', 'Highest note'));
+    stringGrid.appendChild(wrap);
 }
 
 function renderStringButtons(notes) {
@@ -422,37 +1234,70 @@ function renderStringButtons(notes) {
     }
 
 
-    notes.forEach(note => {
-        const freq = guitarStrings[note].freq; // Should exist now
-
+    // One button per string/course, keyed by position so repeated notes stay separate
+    guitarStrings.forEach(course => {
         const div = document.createElement('div');
         div.className = 'string-item';
 
         // String Button
         const btn = document.createElement('button');
         btn.className = 'string-btn';
-        btn.dataset.note = note;
-        btn.dataset.freq = freq;
+        btn.dataset.index = course.index;
+        btn.dataset.note = course.note;
+        btn.dataset.freq = course.freq;
+        btn.title = course.label;
+        btn.setAttribute('aria-pressed', 'false');
+        btn.setAttribute('aria-label', `String ${course.index + 1}, ${AccessibleFeedback.spokenNote(course.note)}`);
         // Strip octave for display if it's standard? Or keep?
         // Original showed "E", "A" etc. 
         // We'll show just Note name, maybe octave small?
-        const displayNote = note.replace(/\d/, '');
+        const displayNote = course.note.replace(/\d/, '');
         btn.textContent = displayNote;
 
+        // Transposed / capo: the sounding note above, the written string (chord shape) below
+        if (course.shape && course.shape !== course.note) {
+            const shape = document.createElement('small');
+            shape.className = 'string-shape';
+            shape.textContent = course.shape.replace(/\d/, '');
+            shape.style.display = 'block';
+            shape.style.fontSize = '0.5em';
+            shape.style.opacity = '0.7';
+            btn.appendChild(shape);
+            btn.title = `${course.label} (${course.shape} shape)`;
+            btn.setAttribute('aria-label', `${btn.getAttribute('aria-label')}, ${AccessibleFeedback.spokenNote(course.shape)} shape`);
+        }
+
+        // Course mark ("8va" octave pair, "×2" unison pair)
+        const mark = Courses.mark(course);
+        if (mark) {
+            const badge = document.createElement('sup');
+            badge.className = 'course-mark';
+            badge.textContent = mark;
+            badge.style.fontSize = '0.5em';
+            badge.style.marginLeft = '2px';
+            btn.appendChild(badge);
+        }
+
         btn.onclick = () => selectString(btn);
 
         // Tone Button
         const tone = document.createElement('button');
         tone.className = 'tone-btn';
-        tone.dataset.note = note;
+        tone.dataset.index = course.index;
         tone.textContent = '🔊';
+        tone.setAttribute('aria-label', `Play ${AccessibleFeedback.spokenNote(course.note)} reference tone`);
         tone.onclick = (e) => {
             e.stopPropagation();
             toggleReferenceTone(tone);
         };
 
+        // Strum mode reading (filled in by renderStrumIndicators)
+        const indicator = document.createElement('span');
+        indicator.className = 'string-cents';
+
         div.appendChild(btn);
         div.appendChild(tone);
+        div.appendChild(indicator);
         stringGrid.appendChild(div);
     });
 
@@ -464,29 +1309,128 @@ function renderStringButtons(notes) {
 }
 
 // 3. Render Lists
+// Search & filters over the catalog. The bar sits above the accordion, so typing doesn't rebuild it.
+const catalogFilters = { query: '', family: '', strings: '', tag: '' };
+const catalogBar = document.createElement('div');
+catalogBar.className = 'tuning-filters';
+
+const catalogSearch = document.createElement('input');
+catalogSearch.type = 'search';
+catalogSearch.placeholder = 'Search tunings, notes or styles';
+catalogSearch.addEventListener('input', () => {
+    catalogFilters.query = catalogSearch.value;
+    renderInstrumentList();
+});
+catalogBar.appendChild(catalogSearch);
+
+[
+    ['family', 'Instrument family', [['', 'All Instruments'], ...Object.entries(TuningCatalog.FAMILIES)]],
+    ['strings', 'String count', [['', 'Any Strings'], ...TuningCatalog.stringCounts().map(n => [n, `${n} Strings`])]],
+    ['tag', 'Style', [['', 'Any Style'], ...TuningCatalog.tags().map(tag => [tag, tag.replace(/-/g, ' ')])]]
+].forEach(([key, title, options]) => {
+    const select = document.createElement('select');
+    select.title = title;
+    options.forEach(([value, label]) => {
+        const opt = document.createElement('option');
+        opt.value = value;
+        opt.textContent = label;
+        select.appendChild(opt);
+    });
+    select.addEventListener('change', () => {
+        catalogFilters[key] = select.value;
+        renderInstrumentList();
+    });
+    catalogBar.appendChild(select);
+});
+instrumentAccordion.insertAdjacentElement('beforebegin', catalogBar);
+
+function isCatalogFiltered() {
+    return Object.values(catalogFilters).some(Boolean);
+}
+
+function toggleFavorite(id) {
+    favoriteTunings = favoriteTunings.includes(id)
+        ? favoriteTunings.filter(f => f !== id)
+        : [...favoriteTunings, id];
+    localStorage.setItem('favorite-tunings', JSON.stringify(favoriteTunings));
+    renderInstrumentList();
+}
+
+// Accordion section; open when filtering so the matches show straight away
+function createAccordionItem(title, open) {
+    const item = document.createElement('div');
+    item.className = 'accordion-item';
+    if (open) item.classList.add('open');
+
+    const header = document.createElement('button');
+    header.className = 'accordion-header';
+    header.innerHTML = `<span>${title}</span> <span class="accordion-icon">▼</span>`;
+    header.onclick = () => {
+        // Toggle
+        const isOpen = item.classList.contains('open');
+        document.querySelectorAll('.accordion-item').forEach(i => i.classList.remove('open'));
+        if (!isOpen) item.classList.add('open');
+    };
+
+    const content = document.createElement('div');
+    content.className = 'accordion-content';
+
+    item.appendChild(header);
+    item.appendChild(content);
+    instrumentAccordion.appendChild(item);
+    return content;
+}
+
+// Catalog tuning row: applies on click, star toggles the favorite
+function createTuningRow(t, showInstrument = false) {
+    const row = document.createElement('button');
+    row.className = 'tuning-item';
+    row.dataset.id = t.id;
+    const isActive = activeTuningId === t.id;
+    if (isActive) row.classList.add('active');
+    const prefix = showInstrument ? `${TuningCatalog.INSTRUMENTS[t.instrument].name}: ` : '';
+
+    row.innerHTML = `
+        <div class="tuning-info">
+            <span class="tuning-name">${prefix}${t.name}</span>
+            <span class="tuning-notes">${t.notes.join(' ')}</span>
+        </div>
+        ${isActive ? '<span class="checkmark">✓</span>' : ''}
+    `;
+    row.onclick = () => applyCatalogTuning(t.id);
+
+    const isFavorite = favoriteTunings.includes(t.id);
+    const star = document.createElement('button');
+    star.className = 'icon-btn small favorite-btn';
+    star.textContent = isFavorite ? '★' : '☆';
+    star.title = isFavorite ? 'Remove from favorites' : 'Add to favorites';
+    star.setAttribute('aria-label', `${star.title}: ${t.name}`);
+    star.onclick = (e) => {
+        e.stopPropagation();
+        toggleFavorite(t.id);
+    };
+    row.appendChild(star);
+    return row;
+}
+
 function renderInstrumentList() {
     instrumentAccordion.innerHTML = '';
+    const filtered = isCatalogFiltered();
+    const matches = TuningCatalog.search(catalogFilters.query, catalogFilters);
+
+    // 1. My Tunings (if any); only the search box and string count apply to them
+    const words = catalogFilters.query.toLowerCase().split(/\s+/).filter(Boolean);
+    const customList = (catalogFilters.family || catalogFilters.tag) ? [] : customTunings.filter(t => {
+        if (catalogFilters.strings && t.notes.length !== parseInt(catalogFilters.strings)) return false;
+        const text = `${t.name} ${t.notes.join(' ')}`.toLowerCase();
+        return words.every(w => text.includes(w));
+    });
 
-    // 1. My Tunings (if any)
-    if (customTunings.length > 0) {
-        const item = document.createElement('div');
-        item.className = 'accordion-item';
-        // Open by default if active instrument is custom?
-        if (activeInstrument === 'custom') item.classList.add('open');
-
-        const header = document.createElement('button');
-        header.className = 'accordion-header';
-        header.innerHTML = `<span>My Tunings (${customTunings.length})</span> <span class="accordion-icon">▼</span>`;
-        header.onclick = () => {
-            const isOpen = item.classList.contains('open');
-            document.querySelectorAll('.accordion-item').forEach(i => i.classList.remove('open'));
-            if (!isOpen) item.classList.add('open');
-        };
-
-        const content = document.createElement('div');
-        content.className = 'accordion-content';
+    if (customList.length > 0) {
+        // Open by default if active instrument is custom
+        const content = createAccordionItem(`My Tunings (${customList.length})`, filtered || activeInstrument === 'custom');
 
-        customTunings.forEach(t => {
+        customList.forEach(t => {
             const row = document.createElement('button');
             row.className = 'tuning-item custom-tuning-row';
             if (activeInstrument === 'custom' && activeTuningName === t.name) {
@@ -497,10 +1441,14 @@ function renderInstrumentList() {
             const mainClickDiv = document.createElement('div');
             mainClickDiv.className = 'tuning-info';
             mainClickDiv.style.flex = '1';
-            mainClickDiv.innerHTML = `
-                <span class="tuning-name">${t.name}</span>
-                <span class="tuning-notes">${t.notes.join(' ')}</span>
-            `;
+            // Names are user text: set as text, never parsed as HTML
+            const nameEl = document.createElement('span');
+            nameEl.className = 'tuning-name';
+            nameEl.textContent = t.name;
+            const notesEl = document.createElement('span');
+            notesEl.className = 'tuning-notes';
+            notesEl.textContent = t.notes.join(' ');
+            mainClickDiv.append(nameEl, notesEl);
             mainClickDiv.onclick = (e) => {
                 applyTuning('custom', t.name, t.notes, true);
                 if (t.headstock) {
@@ -531,57 +1479,49 @@ function renderInstrumentList() {
             }
             row.appendChild(editBtn);
 
+            const shareBtn = document.createElement('button');
+            shareBtn.innerHTML = '⤴';
+            shareBtn.className = 'icon-btn small';
+            shareBtn.title = 'Share / export';
+            shareBtn.style.opacity = '0.5';
+            shareBtn.onclick = (e) => {
+                e.stopPropagation();
+                openShareMenu([t], row);
+            };
+            row.appendChild(shareBtn);
+
             content.appendChild(row);
         });
-
-        item.appendChild(header);
-        item.appendChild(content);
-        instrumentAccordion.appendChild(item);
     }
 
-    for (const [key, data] of Object.entries(INSTRUMENTS)) {
-        const item = document.createElement('div');
-        item.className = 'accordion-item';
-
-        // Header
-        const header = document.createElement('button');
-        header.className = 'accordion-header';
-        header.innerHTML = `<span>${data.name}</span> <span class="accordion-icon">▼</span>`;
-        header.onclick = () => {
-            // Toggle
-            const isOpen = item.classList.contains('open');
-            document.querySelectorAll('.accordion-item').forEach(i => i.classList.remove('open'));
-            if (!isOpen) item.classList.add('open');
-        };
-
-        // Content
-        const content = document.createElement('div');
-        content.className = 'accordion-content';
-
-        // Tuning Options
-        data.tunings.forEach(t => {
-            const row = document.createElement('button');
-            row.className = 'tuning-item';
-            if (activeInstrument === key && activeTuningName === t.name) {
-                row.classList.add('active');
-            }
-
-            row.innerHTML = `
-                <div class="tuning-info">
-                    <span class="tuning-name">${t.name}</span>
-                    <span class="tuning-notes">${t.notes.join(' ')}</span>
-                </div>
-                ${(activeInstrument === key && activeTuningName === t.name) ? '<span class="checkmark">✓</span>' : ''}
-            `;
-
-            row.onclick = () => applyTuning(key, t.name, t.notes);
+    // 2. Favorites, across instruments
+    const favorites = matches.filter(t => favoriteTunings.includes(t.id));
+    if (favorites.length > 0) {
+        const content = createAccordionItem(`★ Favorites (${favorites.length})`, filtered);
+        favorites.forEach(t => content.appendChild(createTuningRow(t, true)));
+    }
 
-            content.appendChild(row);
+    // 3. Catalog, by family then instrument
+    Object.entries(TuningCatalog.FAMILIES).forEach(([family, familyName]) => {
+        const instruments = Object.entries(TuningCatalog.INSTRUMENTS)
+            .filter(([, inst]) => inst.family === family)
+            .map(([key, inst]) => [key, inst, matches.filter(t => t.instrument === key)])
+            .filter(([, , tunings]) => tunings.length > 0);
+        if (instruments.length === 0) return;
+
+        const label = document.createElement('div');
+        label.className = 'accordion-family';
+        label.textContent = familyName;
+        instrumentAccordion.appendChild(label);
+
+        instruments.forEach(([key, inst, tunings]) => {
+            const content = createAccordionItem(inst.name, filtered);
+            tunings.forEach(t => content.appendChild(createTuningRow(t)));
         });
+    });
 
-        item.appendChild(header);
-        item.appendChild(content);
-        instrumentAccordion.appendChild(item);
+    if (matches.length === 0 && customList.length === 0) {
+        instrumentAccordion.innerHTML = '<div style="color:var(--text-dim); font-size:0.9rem; padding:0.5rem">No tunings match</div>';
     }
 }
 
@@ -593,20 +1533,30 @@ headstockBtns.forEach(btn => {
         headstockLayout = btn.dataset.layout;
         // Re-render current if not chromatic
         // Actually just need to update visual?
-        if (!isChromaticMode) {
-            const tData = INSTRUMENTS[activeInstrument]?.tunings.find(t => t.name === activeTuningName);
-            if (tData) renderStringButtons(tData.notes);
-        }
+        if (!isChromaticMode) renderStringButtons(activeNotes);
     });
 });
 
 // 5. Recent Tunings
-function addToRecent(inst, name, notes) {
-    let recent = JSON.parse(localStorage.getItem('recent-tunings') || '[]');
+// Stored as { id, transpose, capo }, so "Standard" and "Standard -1 st" are separate recents.
+// Entries saved before the catalog ({ inst, name, notes }) are looked up by name once.
+function loadRecentTunings() {
+    let recent = [];
+    try {
+        recent = JSON.parse(localStorage.getItem('recent-tunings') || '[]');
+    } catch (e) { console.error("Error loading recent tunings", e); }
+
+    return recent
+        .map(r => ({ ...PitchCore.normalizeOffset(r), id: r.id || TuningCatalog.lookup(r.inst, r.name) }))
+        .filter(r => TuningCatalog.get(r.id));
+}
+
+function addToRecent(id, offset) {
+    const { transpose, capo } = PitchCore.normalizeOffset(offset);
     // Remove if exists (to bring to top)
-    recent = recent.filter(r => !(r.inst === inst && r.name === name));
+    const recent = loadRecentTunings().filter(r => !(r.id === id && r.transpose === transpose && r.capo === capo));
 
-    recent.unshift({ inst, name, notes });
+    recent.unshift({ id, transpose, capo });
     if (recent.length > 5) recent.pop();
 
     localStorage.setItem('recent-tunings', JSON.stringify(recent));
@@ -614,7 +1564,7 @@ function addToRecent(inst, name, notes) {
 
 function renderRecentTunings() {
     recentList.innerHTML = '';
-    const recent = JSON.parse(localStorage.getItem('recent-tunings') || '[]');
+    const recent = loadRecentTunings();
 
     if (recent.length === 0) {
         recentList.innerHTML = '<div style="color:var(--text-dim); font-size:0.9rem; padding:0.5rem">No recent tunings</div>';
@@ -622,17 +1572,22 @@ function renderRecentTunings() {
     }
 
     recent.forEach(r => {
+        const t = TuningCatalog.get(r.id);
         const row = document.createElement('button');
         row.className = 'tuning-item';
-        // highlight if active?
+        if (r.id === activeTuningId && r.transpose === tuningOffset.transpose && r.capo === tuningOffset.capo) {
+            row.classList.add('active');
+        }
+        const instrument = t.instrument === 'guitar' ? '' : `${TuningCatalog.INSTRUMENTS[t.instrument].name}: `;
+        const offset = PitchCore.describeOffset(r);
 
         row.innerHTML = `
              <div class="tuning-info">
-                <span class="tuning-name">${r.inst === 'guitar' ? '' : r.inst + ': '}${r.name}</span>
-                <span class="tuning-notes">${r.notes.join(' ')}</span>
+                <span class="tuning-name">${instrument}${t.name}${offset ? ` (${offset})` : ''}</span>
+                <span class="tuning-notes">${t.notes.join(' ')}</span>
             </div>
         `;
-        row.onclick = () => applyTuning(r.inst, r.name, r.notes);
+        row.onclick = () => applyCatalogTuning(r.id, r);
         recentList.appendChild(row);
     });
 }
@@ -647,9 +1602,6 @@ document.querySelector('[data-type="custom"]').addEventListener('click', () => {
     openCustomEditor(null);
 });
 
-// Update detectNote to handle dynamic objects better (it already iterates logicly)
-// No changes needed to detectNote since it iterates `guitarStrings`.
-
 // --- Custom Tuning Editor Logic ---
 function openCustomEditor(tuningId) {
     editingTuningId = tuningId;
@@ -798,6 +1750,241 @@ function saveCustomTuningsToLS() {
     localStorage.setItem('custom-tunings', JSON.stringify(customTunings));
 }
 
+// --- Custom Tuning Import / Export ---
+// File: { format, version, tunings: [{ name, notes, headstock }] }
+// Code: base64url of [[name, "E2 A2 ...", headstock], ...], shared as #tuning=<code>
+const TUNING_FILE_FORMAT = 'guitar-tuner-tunings';
+const TUNING_LINK_PARAM = 'tuning';
+const MAX_TUNING_STRINGS = 8; // Same limit as the editor
+
+// Returns { tuning } or { error } for one imported entry
+function validateTuning(raw) {
+    if (!raw || typeof raw !== 'object') return { error: 'Not a tuning' };
+
+    const name = typeof raw.name === 'string' ? raw.name.trim().slice(0, 40) : '';
+    if (!name) return { error: 'Missing name' };
+
+    const notes = Array.isArray(raw.notes) ? raw.notes.map(n => String(n).trim()) : [];
+    if (notes.length === 0 || notes.length > MAX_TUNING_STRINGS) {
+        return { error: `"${name}": needs 1-${MAX_TUNING_STRINGS} strings` };
+    }
+    // Courses ("E2/E3") are checked string by string
+    const badNote = notes.find(n => {
+        const members = Courses.parse(n);
+        return members.length === 0 || members.some(m => !NOTE_PATTERN.test(m) || getNoteIndex(m) === -1);
+    });
+    if (badNote !== undefined) return { error: `"${name}": invalid note "${badNote}"` };
+
+    const headstock = raw.headstock === '6-in-line' ? '6-in-line' : '3+3';
+    return { tuning: { name, notes, headstock } };
+}
+
+function encodeTuningCode(tunings) {
+    const json = JSON.stringify(tunings.map(t => [t.name, t.notes.join(' '), t.headstock || '3+3']));
+    const bytes = new TextEncoder().encode(json);
+    return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// Accepts a bare code, a "#tuning=" fragment or a full link
+function decodeTuningCode(text) {
+    const code = String(text).trim().split(`${TUNING_LINK_PARAM}=`).pop().split('&')[0];
+    const base64 = code.replace(/-/g, '+').replace(/_/g, '/');
+    const bytes = Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+    const list = JSON.parse(new TextDecoder().decode(bytes));
+    if (!Array.isArray(list)) throw new Error('Not a tuning code');
+    return list.map(entry => Array.isArray(entry)
+        ? { name: entry[0], notes: String(entry[1] || '').split(/\s+/).filter(Boolean), headstock: entry[2] }
+        : entry);
+}
+
+function tuningShareLink(tunings) {
+    return `${location.origin}${location.pathname}#${TUNING_LINK_PARAM}=${encodeTuningCode(tunings)}`;
+}
+
+function downloadTuningsFile(tunings) {
+    const data = {
+        format: TUNING_FILE_FORMAT,
+        version: 1,
+        exportedAt: new Date().toISOString(),
+        tunings: tunings.map(t => ({ name: t.name, notes: t.notes, headstock: t.headstock || '3+3' }))
+    };
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = tunings.length === 1
+        ? `${tunings[0].name.replace(/[^\w-]+/g, '_')}.tuning.json`
+        : 'custom-tunings.json';
+    a.click();
+    URL.revokeObjectURL(a.href);
+}
+
+function copyText(text, label) {
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+        navigator.clipboard.writeText(text)
+            .then(() => alert(`${label} copied to clipboard.`))
+            .catch(() => prompt(`Copy the ${label.toLowerCase()}:`, text));
+    } else {
+        prompt(`Copy the ${label.toLowerCase()}:`, text);
+    }
+}
+
+// Duplicates (same notes as a saved tuning) are skipped; a taken name gets a suffix.
+// Returns { added, duplicates, invalid } for the summary message.
+function importTunings(rawList) {
+    const result = { added: [], duplicates: [], invalid: [] };
+
+    rawList.forEach(raw => {
+        const { tuning, error } = validateTuning(raw);
+        if (error) {
+            result.invalid.push(error);
+            return;
+        }
+
+        const key = tuning.notes.join(' ');
+        const existing = customTunings.find(c => c.notes.join(' ') === key);
+        if (existing) {
+            result.duplicates.push(`"${tuning.name}" (already saved as "${existing.name}")`);
+            return;
+        }
+
+        let name = tuning.name;
+        for (let n = 2; customTunings.some(c => c.name === name); n++) name = `${tuning.name} (${n})`;
+
+        const newTuning = {
+            id: 'ct_' + Date.now() + '_' + customTunings.length,
+            name,
+            notes: tuning.notes,
+            headstock: tuning.headstock,
+            createdAt: Date.now()
+        };
+        customTunings.push(newTuning);
+        result.added.push(newTuning);
+    });
+
+    if (result.added.length) {
+        saveCustomTuningsToLS();
+        renderInstrumentList();
+    }
+    return result;
+}
+
+function reportImport(result) {
+    const lines = [`Imported ${result.added.length} tuning(s).`];
+    if (result.duplicates.length) lines.push(`Skipped duplicates: ${result.duplicates.join(', ')}`);
+    if (result.invalid.length) lines.push(`Invalid: ${result.invalid.join('; ')}`);
+    alert(lines.join('\n'));
+}
+
+function importTuningsFile(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            const data = JSON.parse(reader.result);
+            // Accept a full export, a bare list, or a single tuning object
+            const list = Array.isArray(data) ? data : (Array.isArray(data.tunings) ? data.tunings : [data]);
+            reportImport(importTunings(list));
+        } catch (e) {
+            alert("That file isn't a valid tunings export.");
+        }
+    };
+    reader.readAsText(file);
+}
+
+function importTuningsCode() {
+    const text = prompt('Paste a tuning code or link:');
+    if (!text) return;
+    try {
+        reportImport(importTunings(decodeTuningCode(text)));
+    } catch (e) {
+        alert("That code couldn't be read.");
+    }
+}
+
+// Small popup with the export options for one or more tunings
+function openShareMenu(tunings, anchorEl) {
+    document.querySelectorAll('.share-menu').forEach(m => m.remove());
+
+    const menu = document.createElement('div');
+    menu.className = 'share-menu';
+    [
+        ['Copy Link', () => copyText(tuningShareLink(tunings), 'Link')],
+        ['Copy Code', () => copyText(encodeTuningCode(tunings), 'Code')],
+        ['Download JSON', () => downloadTuningsFile(tunings)]
+    ].forEach(([label, action]) => {
+        const btn = document.createElement('button');
+        btn.textContent = label;
+        btn.onclick = (e) => {
+            e.stopPropagation();
+            menu.remove();
+            action();
+        };
+        menu.appendChild(btn);
+    });
+    anchorEl.insertAdjacentElement('afterend', menu);
+}
+
+// Import / export-all bar under the instrument list
+const tuningShareBar = document.createElement('div');
+tuningShareBar.className = 'tuning-share-bar';
+const tuningFileInput = document.createElement('input');
+tuningFileInput.type = 'file';
+tuningFileInput.accept = '.json,application/json';
+tuningFileInput.style.display = 'none';
+tuningFileInput.onchange = () => {
+    if (tuningFileInput.files[0]) importTuningsFile(tuningFileInput.files[0]);
+    tuningFileInput.value = '';
+};
+
+[
+    ['Import File', () => tuningFileInput.click()],
+    ['Import Code', importTuningsCode],
+    ['Export All', (btn) => {
+        if (customTunings.length === 0) alert('No custom tunings to export yet.');
+        else openShareMenu(customTunings, btn);
+    }]
+].forEach(([label, action]) => {
+    const btn = document.createElement('button');
+    btn.className = 'share-bar-btn';
+    btn.textContent = label;
+    btn.onclick = () => action(btn);
+    tuningShareBar.appendChild(btn);
+});
+tuningShareBar.appendChild(tuningFileInput);
+instrumentAccordion.insertAdjacentElement('afterend', tuningShareBar);
+
+// Opening a shared link offers to add (if new) and apply its tuning
+function checkSharedTuningLink() {
+    const hash = location.hash;
+    if (!hash.startsWith(`#${TUNING_LINK_PARAM}=`)) return;
+    history.replaceState(null, '', location.pathname + location.search); // Don't re-offer on reload
+
+    let list;
+    try {
+        list = decodeTuningCode(hash);
+    } catch (e) {
+        alert("The shared tuning link couldn't be read.");
+        return;
+    }
+
+    list.forEach(raw => {
+        const { tuning, error } = validateTuning(raw);
+        if (error) {
+            alert(`Shared tuning rejected: ${error}`);
+            return;
+        }
+        if (!confirm(`Add and apply the shared tuning "${tuning.name}" (${tuning.notes.join(' ')})?`)) return;
+
+        const result = importTunings([tuning]);
+        const saved = result.added[0] || customTunings.find(c => c.notes.join(' ') === tuning.notes.join(' '));
+        applyTuning('custom', saved.name, saved.notes, true);
+        if (saved.headstock && saved.headstock !== headstockLayout) {
+            headstockLayout = saved.headstock;
+            headstockBtns.forEach(b => b.classList.toggle('active', b.dataset.layout === headstockLayout));
+            renderStringButtons(saved.notes);
+        }
+    });
+}
+
 // --- Note Picker Logic ---
 // --- Note Picker Logic ---
 let tempPickerState = { note: "E", octave: 2 };
@@ -892,6 +2079,7 @@ function toggleReferenceTone(btn) {
     // If clicking active button, stop
     if (activeToneBtn === btn) {
         stopReferenceTone();
+        announce('Reference tone off');
         return;
     }
 
@@ -899,23 +2087,26 @@ function toggleReferenceTone(btn) {
     stopReferenceTone();
 
     // Start new
-    const note = btn.dataset.note;
-    const freq = guitarStrings[note].freq;
+    const course = guitarStrings[parseInt(btn.dataset.index)];
+    if (!course) return;
 
-    playToneLoop(freq);
+    playToneLoop(course.freq);
 
     btn.classList.add('playing');
     activeToneBtn = btn;
-    statusMsg.textContent = `Playing ${note}...`;
+    statusMsg.textContent = `Playing ${course.note}...`;
+    announce(`Playing ${AccessibleFeedback.spokenNote(course.note)}`);
 }
 
 function stopReferenceTone() {
-    if (activeOscillator) {
-        try {
-            activeOscillator.stop();
-            activeOscillator.disconnect();
-        } catch (e) { }
-        activeOscillator = null;
+    clearTimeout(toneTimer);
+    toneTimer = null;
+    sequenceIndex = -1;
+    playAllBtn.classList.remove('playing');
+
+    if (activeVoice) {
+        activeVoice.stop();
+        activeVoice = null;
     }
     if (activeToneBtn) {
         activeToneBtn.classList.remove('playing');
@@ -925,24 +2116,415 @@ function stopReferenceTone() {
     }
 }
 
-function playToneLoop(freq) {
+function getToneOutput() {
+    if (!toneOutput) {
+        toneOutput = audioContext.createGain();
+        toneOutput.connect(audioContext.destination);
+    }
+    toneOutput.gain.value = tonePrefs.volume;
+    return toneOutput;
+}
+
+// Starts the selected voice at freq, cutting off the previous one
+function soundReferenceVoice(freq) {
     if (!audioContext) initAudio();
+    if (activeVoice) activeVoice.stop();
 
-    const osc = audioContext.createOscillator();
-    const gain = audioContext.createGain();
+    const voice = ReferenceVoices[tonePrefs.voice];
+    activeVoice = voice.play(audioContext, getToneOutput(), freq);
+    return voice;
+}
 
-    osc.type = 'sine';
-    osc.frequency.value = freq;
+// Plucks repeat every tonePrefs.repeat seconds; sustained voices stop after a while
+function playToneLoop(freq) {
+    const voice = soundReferenceVoice(freq);
 
-    gain.gain.value = 0.1; // Low volume
+    if (voice.sustain) {
+        toneTimer = setTimeout(stopReferenceTone, config.toneSustainLimit);
+    } else if (tonePrefs.repeat > 0) {
+        toneTimer = setTimeout(() => playToneLoop(freq), tonePrefs.repeat * 1000);
+    } else {
+        toneTimer = setTimeout(stopReferenceTone, voice.duration * 1000);
+    }
+}
 
-    osc.connect(gain);
-    gain.connect(audioContext.destination);
+// "Play All": each string of the active tuning once, lowest first
+function playAllStrings() {
+    const wasSequencing = sequenceIndex !== -1;
+    stopReferenceTone();
+    if (wasSequencing || activeNotes.length === 0 || isChromaticMode) return;
 
-    osc.start();
-    activeOscillator = osc;
+    playAllBtn.classList.add('playing');
+    playSequenceStep(0);
+}
+
+function playSequenceStep(index) {
+    if (activeToneBtn) activeToneBtn.classList.remove('playing');
+    if (index >= guitarStrings.length) {
+        stopReferenceTone();
+        return;
+    }
+
+    sequenceIndex = index;
+    soundReferenceVoice(guitarStrings[index].freq);
+
+    activeToneBtn = stringGrid.querySelectorAll('.tone-btn')[index] || null;
+    if (activeToneBtn) activeToneBtn.classList.add('playing');
+    statusMsg.textContent = `Playing ${guitarStrings[index].note} (${index + 1}/${guitarStrings.length})`;
+
+    toneTimer = setTimeout(() => playSequenceStep(index + 1), config.sequenceStep);
+}
+
+function saveTonePrefs(updates) {
+    tonePrefs = { ...tonePrefs, ...updates };
+    localStorage.setItem('tone-prefs', JSON.stringify(tonePrefs));
+    if (toneOutput) toneOutput.gain.value = tonePrefs.volume;
+}
+
+// --- Reference Voice Controls ---
+const toneControls = document.createElement('div');
+toneControls.className = 'tone-controls';
+
+const voiceSelect = document.createElement('select');
+voiceSelect.title = 'Reference voice';
+Object.entries(ReferenceVoices).forEach(([key, v]) => {
+    const opt = document.createElement('option');
+    opt.value = key;
+    opt.textContent = v.label;
+    voiceSelect.appendChild(opt);
+});
+voiceSelect.value = tonePrefs.voice;
+voiceSelect.onchange = () => {
+    saveTonePrefs({ voice: voiceSelect.value });
+    stopReferenceTone();
+};
+
+const volumeInput = document.createElement('input');
+volumeInput.type = 'range';
+volumeInput.min = 0;
+volumeInput.max = 1;
+volumeInput.step = 0.05;
+volumeInput.value = tonePrefs.volume;
+volumeInput.title = 'Reference volume';
+volumeInput.oninput = () => saveTonePrefs({ volume: parseFloat(volumeInput.value) });
+
+const repeatSelect = document.createElement('select');
+repeatSelect.title = 'Re-pluck interval';
+[[0, 'Pluck once'], [2, 'Re-pluck 2s'], [3, 'Re-pluck 3s'], [5, 'Re-pluck 5s']].forEach(([value, label]) => {
+    const opt = document.createElement('option');
+    opt.value = value;
+    opt.textContent = label;
+    repeatSelect.appendChild(opt);
+});
+repeatSelect.value = tonePrefs.repeat;
+repeatSelect.onchange = () => saveTonePrefs({ repeat: parseFloat(repeatSelect.value) });
+
+const playAllBtn = document.createElement('button');
+playAllBtn.className = 'play-all-btn';
+playAllBtn.textContent = '▶ Play All';
+playAllBtn.title = 'Play every string in sequence';
+playAllBtn.onclick = playAllStrings;
+
+toneControls.append(voiceSelect, volumeInput, repeatSelect, playAllBtn);
+stringGrid.insertAdjacentElement('afterend', toneControls);
+
+// --- Recording Analysis ---
+// Checks a WAV/OGG recording offline with the same detector, gate and targets as the live tuner
+let analysisReport = null;
+
+const analysisBtn = document.createElement('button');
+analysisBtn.className = 'analysis-btn';
+analysisBtn.textContent = 'Analyze Recording';
+const analysisPanel = document.createElement('div');
+analysisPanel.className = 'analysis-panel';
+analysisPanel.style.display = 'none';
+
+const analysisFileInput = document.createElement('input');
+analysisFileInput.type = 'file';
+analysisFileInput.accept = FileAnalysis.ACCEPT;
+analysisFileInput.style.display = 'none';
+analysisFileInput.onchange = () => {
+    if (analysisFileInput.files[0]) analyseRecording(analysisFileInput.files[0]);
+    analysisFileInput.value = '';
+};
+
+const analysisStatusEl = document.createElement('div');
+analysisStatusEl.className = 'analysis-status';
+analysisStatusEl.textContent = 'Open a WAV/OGG recording to check its tuning against the current tuning.';
+const analysisCanvas = document.createElement('canvas');
+analysisCanvas.className = 'analysis-canvas';
+analysisCanvas.width = 600;
+analysisCanvas.height = 140;
+analysisCanvas.style.width = '100%';
+analysisCanvas.style.display = 'none';
+const analysisTable = document.createElement('table');
+analysisTable.className = 'analysis-table';
+
+const analysisActions = document.createElement('div');
+analysisActions.className = 'analysis-actions';
+const [openRecordingBtn, exportCsvBtn, exportJsonBtn] = [
+    ['Open Recording', () => analysisFileInput.click()],
+    ['Export CSV', () => exportAnalysis('csv')],
+    ['Export JSON', () => exportAnalysis('json')]
+].map(([label, onClick]) => {
+    const btn = document.createElement('button');
+    btn.className = 'analysis-action';
+    btn.textContent = label;
+    btn.onclick = onClick;
+    return btn;
+});
+exportCsvBtn.disabled = true;
+exportJsonBtn.disabled = true;
+analysisActions.append(openRecordingBtn, exportCsvBtn, exportJsonBtn, analysisFileInput);
+analysisPanel.append(analysisActions, analysisStatusEl, analysisCanvas, analysisTable);
+
+analysisBtn.addEventListener('click', () => {
+    analysisPanel.style.display = analysisPanel.style.display === 'none' ? '' : 'none';
+});
+
+async function analyseRecording(file) {
+    analysisStatusEl.textContent = `Decoding ${file.name}...`;
+
+    let decoded;
+    try {
+        const Ctx = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        decoded = await FileAnalysis.decode(new Ctx(1, 1, 44100), await file.arrayBuffer());
+    } catch (e) {
+        console.error("Decode error:", e);
+        analysisStatusEl.textContent = `Couldn't decode ${file.name}. Try a WAV or OGG file.`;
+        return;
+    }
+
+    // Detection range of the active tuning, as live
+    analysisReport = await FileAnalysis.analyse(decoded.samples, decoded.sampleRate, {
+        name: file.name,
+        range: { minFreq: config.minFreq, maxFreq: config.maxFreq, minBufferSize: config.minBufferSize, maxBufferSize: config.maxBufferSize },
+        detect: detectPitch,
+        match: matchTarget,
+        onProgress: (f) => { analysisStatusEl.textContent = `Analyzing ${file.name}... ${Math.round(f * 100)}%`; }
+    });
+    renderAnalysis();
+}
+
+function renderAnalysis() {
+    const { summary } = analysisReport;
+    analysisStatusEl.textContent = summary.notes
+        ? `${analysisReport.name}: ${summary.inTune}/${summary.notes} notes in tune, average ${summary.meanAbsCents.toFixed(1)}¢ off` +
+        (summary.worst ? `, worst ${summary.worst.note} ${Intonation.formatCents(summary.worst.cents)} at ${summary.worst.start.toFixed(1)}s` : '')
+        : `${analysisReport.name}: no notes detected for ${activeTuningName}`;
+
+    analysisCanvas.style.display = '';
+    FileAnalysis.draw(analysisCanvas, analysisReport, {
+        band: getComputedStyle(document.body).getPropertyValue('--accent-red').trim(),
+        inTune: strobeColors.inTune,
+        text: strobeColors.text
+    });
+
+    analysisTable.innerHTML = '';
+    if (analysisReport.notes.length) {
+        const header = document.createElement('tr');
+        ['Time', 'Note', 'Hz', 'Cents', 'Spread'].forEach(label => {
+            const th = document.createElement('th');
+            th.textContent = label;
+            header.appendChild(th);
+        });
+        analysisTable.appendChild(header);
+    }
+    analysisReport.notes.forEach(n => {
+        const row = document.createElement('tr');
+        [`${n.start.toFixed(1)}s`, n.note, n.freq.toFixed(1), Intonation.formatCents(n.cents), `±${(n.spread / 2).toFixed(1)}¢`]
+            .forEach((text, i) => {
+                const td = document.createElement('td');
+                td.textContent = text;
+                if (i === 3) {
+                    td.style.color = Math.abs(n.cents) <= FileAnalysis.TOLERANCE ? 'var(--accent-green)' : 'var(--accent-red)';
+                }
+                row.appendChild(td);
+            });
+        analysisTable.appendChild(row);
+    });
+
+    exportCsvBtn.disabled = false;
+    exportJsonBtn.disabled = false;
+}
+
+function exportAnalysis(format) {
+    if (!analysisReport) return;
+    const isCsv = format === 'csv';
+    const blob = new Blob([isCsv ? FileAnalysis.toCSV(analysisReport) : FileAnalysis.toJSON(analysisReport)],
+        { type: isCsv ? 'text/csv' : 'application/json' });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = `${analysisReport.name.replace(/\.[^.]+$/, '').replace(/[^\w-]+/g, '_')}-tuning.${isCsv ? 'csv' : 'json'}`;
+    a.click();
+    URL.revokeObjectURL(a.href);
+}
+
+strumBtn.insertAdjacentElement('afterend', analysisBtn);
+intonationPanel.insertAdjacentElement('afterend', analysisPanel);
+
+// --- Accessible Mode ---
+// Spoken readings (live region), a flat/sharp tick cue and vibration, for tuning without watching the needle
+const accessibleBtn = document.createElement('button');
+accessibleBtn.className = 'accessible-mode-btn';
+accessibleBtn.textContent = 'Accessible Mode';
+accessibleBtn.title = 'Spoken, sound and vibration feedback';
+const accessiblePanel = document.createElement('div');
+accessiblePanel.className = 'accessible-settings';
+
+const accessibleToggles = Object.entries(AccessibleFeedback.OPTIONS).map(([key, label]) => {
+    const toggle = document.createElement('label');
+    const box = document.createElement('input');
+    box.type = 'checkbox';
+    box.dataset.key = key;
+    box.addEventListener('change', () => saveAccessiblePrefs({ [key]: box.checked }));
+    toggle.append(box, ` ${label}`);
+    return toggle;
+});
+
+// Shortcuts work whether or not accessible mode is on; listed in its panel
+const KEYBOARD_SHORTCUTS = [
+    ['1–9', 'Select string'],
+    ['0 / A', 'Auto mode'],
+    ['← →', 'Previous / next string'],
+    ['R', 'Reference tone for the selected string'],
+    ['P', 'Play all strings'],
+    ['S', 'Start / stop the tuner'],
+    ['T', 'Choose tuning (↑ ↓ move, F favorite, Esc close)']
+];
+const shortcutList = document.createElement('ul');
+shortcutList.className = 'shortcut-list';
+shortcutList.setAttribute('aria-label', 'Keyboard shortcuts');
+KEYBOARD_SHORTCUTS.forEach(([keys, action]) => {
+    const item = document.createElement('li');
+    const kbd = document.createElement('kbd');
+    kbd.textContent = keys;
+    item.append(kbd, ` ${action}`);
+    shortcutList.appendChild(item);
+});
+
+accessiblePanel.append(...accessibleToggles, shortcutList);
+accessibleBtn.addEventListener('click', () => {
+    saveAccessiblePrefs({ enabled: !accessiblePrefs.enabled });
+    announce('Accessible mode on');
+});
+
+function renderAccessibleMode() {
+    accessibleBtn.classList.toggle('active', accessiblePrefs.enabled);
+    accessibleBtn.setAttribute('aria-pressed', String(accessiblePrefs.enabled));
+    accessiblePanel.style.display = accessiblePrefs.enabled ? '' : 'none';
+    accessiblePanel.querySelectorAll('input[type="checkbox"]').forEach(box => {
+        box.checked = accessiblePrefs[box.dataset.key];
+    });
+}
+
+function saveAccessiblePrefs(updates) {
+    accessiblePrefs = AccessibleFeedback.normalize({ ...accessiblePrefs, ...updates });
+    localStorage.setItem('accessible-prefs', JSON.stringify(accessiblePrefs));
+    Object.assign(accessibleState, AccessibleFeedback.createState()); // Next reading is announced afresh
+    if (!accessiblePrefs.enabled) liveRegion.textContent = '';
+    renderAccessibleMode();
+}
+
+// Immediate announcement (selection changes, confirmations); holds off the next reading for a moment
+function announce(text) {
+    if (!accessiblePrefs.enabled || !accessiblePrefs.announce) return;
+    liveRegion.textContent = text;
+    accessibleState.time = performance.now();
+}
+
+// Every analysed frame: { note, cents } of the reading, or null (no note / not the selected string)
+function updateAccessibleFeedback(reading) {
+    if (!accessiblePrefs.enabled) return;
+    const now = performance.now();
+    const tolerance = config.tunedTolerance;
+
+    const text = AccessibleFeedback.announcement(accessibleState, reading, tolerance, now);
+    if (text) {
+        if (accessiblePrefs.announce) liveRegion.textContent = text;
+        const direction = reading ? AccessibleFeedback.direction(reading.cents, tolerance) : 'inTune';
+        // In tune buzzes once, on the confirmation (see updateIndicators)
+        if (accessiblePrefs.vibrate && direction !== 'inTune') AccessibleFeedback.vibrate(direction);
+    }
+
+    // No ticks over a reference tone; they'd only confuse the comparison
+    if (accessiblePrefs.cue && audioContext && !activeVoice) {
+        AccessibleFeedback.updateCue(accessibleState, audioContext, audioContext.destination,
+            reading ? reading.cents : null, tolerance, now);
+    }
+}
+
+renderAccessibleMode();
+analysisBtn.insertAdjacentElement('afterend', accessibleBtn);
+analysisPanel.insertAdjacentElement('afterend', accessiblePanel);
+
+// --- Keyboard Control ---
+// Next / previous string, wrapping; from auto mode → starts at the first, ← at the last
+function stepString(delta) {
+    const btns = Array.from(stringGrid.querySelectorAll('.string-btn'));
+    if (btns.length === 0) return;
+    const current = currentString === 'AUTO' ? (delta > 0 ? -1 : btns.length) : currentString;
+    selectString(btns[(current + delta + btns.length) % btns.length]);
+}
+
+// The selected string's reference tone; in auto mode there's no string, so any sounding tone stops
+function toggleSelectedTone() {
+    const tone = currentString === 'AUTO' ? null : stringGrid.querySelector(`.tone-btn[data-index="${currentString}"]`);
+    if (tone) toggleReferenceTone(tone);
+    else stopReferenceTone();
+}
+
+// Up / down through the visible rows of the tuning screen (collapsed sections are skipped)
+function moveTuningFocus(delta) {
+    const items = Array.from(tuningScreen.querySelectorAll('.tuning-item, .accordion-header'))
+        .filter(i => !i.closest('.accordion-item:not(.open) .accordion-content'));
+    if (items.length === 0) return;
+    const index = items.indexOf(document.activeElement);
+    const next = index === -1 ? 0 : Math.max(0, Math.min(items.length - 1, index + delta));
+    items[next].focus();
 }
 
+document.addEventListener('keydown', (e) => {
+    if (e.ctrlKey || e.metaKey || e.altKey || e.defaultPrevented) return;
+    if (!customEditor.classList.contains('hidden') || !notePickerModal.classList.contains('hidden')) return;
+    const tag = e.target.tagName;
+
+    if (!tuningScreen.classList.contains('hidden')) {
+        if (e.key === 'Escape') {
+            closeTuningScreen();
+        } else if ((e.key === 'ArrowDown' || e.key === 'ArrowUp') && tag !== 'SELECT') {
+            moveTuningFocus(e.key === 'ArrowDown' ? 1 : -1);
+        } else if ((e.key === 'f' || e.key === 'F') && tag !== 'INPUT' && e.target.dataset.id) {
+            const id = e.target.dataset.id;
+            toggleFavorite(id);
+            const row = tuningScreen.querySelector(`.tuning-item[data-id="${id}"]`);
+            if (row) row.focus();
+        } else {
+            return;
+        }
+        e.preventDefault();
+        return;
+    }
+
+    if (['INPUT', 'SELECT', 'TEXTAREA'].includes(tag) || e.target.isContentEditable) return;
+
+    switch (e.key) {
+        case '0': case 'a': case 'A': activateAutoMode(); break;
+        case 'ArrowLeft': stepString(-1); break;
+        case 'ArrowRight': stepString(1); break;
+        case 'r': case 'R': toggleSelectedTone(); break;
+        case 'p': case 'P': playAllStrings(); break;
+        case 's': case 'S': if (isRunning) stopTuner(); else startTuner(); break;
+        case 't': case 'T': openTuningScreen(); break;
+        default: {
+            const btn = /^[1-9]$/.test(e.key) && stringGrid.querySelector(`.string-btn[data-index="${e.key - 1}"]`);
+            if (!btn) return;
+            selectString(btn);
+        }
+    }
+    e.preventDefault();
+});
+
 // --- Core Loop ---
 
 function updateLoop(time) {
@@ -951,23 +2533,36 @@ function updateLoop(time) {
     const dt = time - lastFrameTime;
     lastFrameTime = time;
 
-    // 1. Audio Analysis
-    const buffer = new Float32Array(config.bufferSize);
+    // 1. Audio Analysis (buffer is preallocated and sized by sizeAnalysis)
+    const buffer = analysisBuffer;
     analyser.getFloatTimeDomainData(buffer);
 
-    // Calculate RMS for noise gate
-    let rms = 0;
-    for (let i = 0; i < buffer.length; i++) rms += buffer[i] * buffer[i];
-    rms = Math.sqrt(rms / buffer.length);
+    // Calculate RMS for noise gate (and the input meter)
+    const level = AudioInput.level(buffer);
+    const rms = level.rms;
     currentRMS = rms;
+    const wasCalibrating = !!noiseGate.calibration;
+    const listening = NoiseGate.update(noiseGate, rms, dt);
+    if (wasCalibrating && !noiseGate.calibration) finishCalibration();
+    updateInputMeter(level);
+
+    // Strum mode replaces single-note detection with per-string spectral estimates
+    if (strumMode) {
+        updateStrum(buffer, listening, time);
+        requestAnimationFrame(updateLoop);
+        return;
+    }
 
-    const frequency = autoCorrelate(buffer, audioContext.sampleRate, rms);
+    // Readings only start once the gate opened on a pluck attack
+    const { freq: frequency } = listening ? detectPitch(buffer, audioContext.sampleRate, rms) : NO_PITCH;
+    if (intonationSession) feedIntonation(buffer, frequency);
 
     // 2. Logic Processing
     processPitch(frequency, dt);
 
-    // 3. UI Movement (Lerp)
-    smoothNeedle(dt);
+    // 3. UI Movement (Lerp / strobe drift)
+    if (displayMode === 'strobe') updateStrobe(buffer, dt);
+    else smoothNeedle(dt);
 
     requestAnimationFrame(updateLoop);
 }
@@ -978,12 +2573,18 @@ function processPitch(frequency, dt) {
     if (frequency === -1) {
         // Silence / Noise
         targetNeedleAngle = 0;
+        strobeTarget = null;
         timeInTune = 0;
         stabilityBar.style.width = '0%';
         needleGlowEl.style.opacity = 0;
 
+        updateAccessibleFeedback(null);
+
         // Show noise feedback
-        if (currentRMS < config.silenceRMS) {
+        if (noiseGate.calibration) {
+            tuningStatusEl.textContent = "MEASURING NOISE...";
+            tuningStatusEl.className = "tuning-status idle";
+        } else if (!noiseGate.open) {
             tuningStatusEl.textContent = "PLAY STRING";
             tuningStatusEl.className = "tuning-status idle";
         } else {
@@ -1003,27 +2604,13 @@ function processPitch(frequency, dt) {
     let centDiff = 0;
     let isValidPitch = false;
 
-    // AUTO MODE
-    if (currentString === 'AUTO') {
-        const detected = detectNote(frequency);
-        if (detected) {
-            targetFreq = detected.freq;
-            noteName = detected.note.replace(/\d/, '');
-            octave = detected.note.slice(-1);
-            centDiff = calculateCents(frequency, targetFreq);
-            isValidPitch = true;
-        }
-    }
-    // MANUAL MODE
-    else {
-        const s = guitarStrings[currentString];
-        if (frequency >= s.min && frequency <= s.max) {
-            targetFreq = s.freq;
-            noteName = currentString.replace(/\d/, '');
-            octave = currentString.slice(-1);
-            centDiff = calculateCents(frequency, targetFreq);
-            isValidPitch = true;
-        }
+    const target = matchTarget(frequency);
+    if (target) {
+        targetFreq = target.freq;
+        noteName = target.note.replace(/\d/, '');
+        octave = target.note.slice(-1);
+        centDiff = calculateCents(frequency, targetFreq);
+        isValidPitch = true;
     }
 
     if (isValidPitch) {
@@ -1038,10 +2625,16 @@ function processPitch(frequency, dt) {
         const clamp = Math.max(-50, Math.min(50, centDiff));
         targetNeedleAngle = clamp * (1.1); // Scale up slightly to use full gauge
 
+        // Strobe gets the unclamped deviation and refines it itself
+        strobeTarget = { freq: targetFreq, cents: centDiff };
+
         updateIndicators(centDiff, dt);
+        updateAccessibleFeedback({ note: target.note, cents: centDiff });
     } else {
         // Valid freq but not in expected range (Manual Mode ignore)
         targetNeedleAngle = 0;
+        strobeTarget = null;
+        updateAccessibleFeedback(null);
     }
 }
 
@@ -1079,6 +2672,8 @@ function updateIndicators(cents, dt) {
             hasPlayedSound = true;
             statusMsg.textContent = "String Tuned!";
             statusMsg.className = "status-pill good";
+            announce('String tuned');
+            if (accessiblePrefs.enabled && accessiblePrefs.vibrate) AccessibleFeedback.vibrate('inTune');
         }
     } else {
         noteNameEl.classList.remove('in-tune');
@@ -1133,9 +2728,25 @@ function smoothNeedle(dt) {
     needleEl.style.transform = `rotate(${currentNeedleAngle}deg)`;
 }
 
+function updateStrobe(buf, dt) {
+    let cents = null;
+    if (strobeTarget) {
+        cents = strobeTarget.cents;
+        // Close to the target the phase comparison is far finer than the period estimate
+        if (Math.abs(cents) < Strobe.MAX_CENTS * 0.75) {
+            const fine = Strobe.measureCents(buf, audioContext.sampleRate, strobeTarget.freq);
+            if (fine !== null) cents = fine;
+        }
+    }
+    strobePhase = Strobe.advance(strobePhase, cents, dt);
+    Strobe.draw(strobeCanvas, strobePhase, cents, strobeColors);
+}
+
 function resetUI() {
     currentNeedleAngle = 0;
     targetNeedleAngle = 0;
+    strobeTarget = null;
+    Strobe.draw(strobeCanvas, strobePhase, null, strobeColors);
     freqEl.textContent = "0.0";
     noteNameEl.textContent = "--";
     noteOctaveEl.textContent = "";
@@ -1150,92 +2761,31 @@ function resetUI() {
 
 // --- Helpers (Math) ---
 
-function detectNote(freq) {
-    let closest = null;
-    let minDiff = Infinity;
-
-    for (const [note, data] of Object.entries(guitarStrings)) {
-        if (freq >= data.min && freq <= data.max) {
-            return { note, freq: data.freq };
-        }
-        const diff = Math.abs(freq - data.freq);
-        if (diff < minDiff) {
-            minDiff = diff;
-            closest = { note, freq: data.freq };
-        }
-    }
-    return closest;
+// { note, freq } the reading is tuned against: nearest string in AUTO mode,
+// the selected course in MANUAL mode (any of its strings, e.g. the 12-string octave partner), or null
+function matchTarget(freq) {
+    return PitchCore.match(guitarStrings, currentString, freq);
 }
 
 function calculateCents(current, target) {
-    return 1200 * Math.log2(current / target);
-}
-
-// --- Autocorrelation ---
-function autoCorrelate(buf, sampleRate, precalcRMS) {
-    // 1. RMS Check
-    // If we passed RMS, use it, else calc
-    let rms = precalcRMS;
-    if (rms === undefined) {
-        rms = 0;
-        for (let i = 0; i < buf.length; i++) rms += buf[i] * buf[i];
-        rms = Math.sqrt(rms / buf.length);
-    }
-
-    if (rms < config.silenceRMS) return -1; // Too quiet
-
-    // 2. Windowing
-    let r1 = 0, r2 = config.bufferSize - 1;
-    const thres = 0.2;
-    for (let i = 0; i < buf.length / 2; i++) if (Math.abs(buf[i]) < thres) { r1 = i; break; }
-    for (let i = 1; i < buf.length / 2; i++) if (Math.abs(buf[config.bufferSize - i]) < thres) { r2 = config.bufferSize - i; break; }
-    const buf2 = buf.slice(r1, r2);
-
-    // 3. Autocorrelation
-    const c = new Array(buf2.length).fill(0);
-    for (let offset = 30; offset < 800; offset++) {
-        let corr = 0;
-        for (let i = 0; i < buf2.length - offset; i++) {
-            corr += buf2[i] * buf2[i + offset];
-        }
-        c[offset] = corr;
-    }
-
-    // 4. Peak Finding
-    let maxVal = 0;
-    for (let i = 0; i < buf2.length; i++) maxVal += buf2[i] * buf2[i]; // Lag 0
-    const peakThresh = maxVal * 0.8;
-
-    let bestPeriod = -1;
-    for (let i = 30; i < 799; i++) {
-        if (c[i] > peakThresh && c[i] > c[i - 1] && c[i] > c[i + 1]) {
-            bestPeriod = i;
-            break;
-        }
-    }
-
-    if (bestPeriod === -1) {
-        let maxCorr = -1;
-        for (let i = 30; i < 800; i++) {
-            if (c[i] > maxCorr) {
-                maxCorr = c[i];
-                bestPeriod = i;
-            }
-        }
-    }
+    return PitchCore.cents(current, target);
+}
 
-    if (bestPeriod !== -1) {
-        const prev = c[bestPeriod - 1] || 0;
-        const next = c[bestPeriod + 1] || 0;
-        const curr = c[bestPeriod];
-        const shift = (prev - next) / (2 * (prev - 2 * curr + next));
-        return sampleRate / (bestPeriod + shift);
-    }
-    return -1;
+// --- Pitch Detection ---
+// Runs the selected detector (see pitch-core.js) and drops readings below the confidence threshold.
+// lags defaults to the live window; file analysis passes its own for the file's sample rate.
+function detectPitch(buf, sampleRate, rms, lags = detectionLags) {
+    return PitchCore.detect(buf, sampleRate, {
+        algorithm: config.algorithm,
+        lags,
+        rms,
+        threshold: config.confidenceThreshold
+    });
 }
 
 // Auto-start
 window.addEventListener('DOMContentLoaded', () => {
+    checkSharedTuningLink();
     startTuner().then(() => {
         // If context was created but is suspended (autoplay policy), resume on first click
         if (audioContext && audioContext.state === 'suspended') {
@@ -0,0 +1,125 @@
+/**
+ * Setlists
+ * Song tempo maps for the metronome: a song is a list of sections, each with its own bar count,
+ * tempo and time signature, plus an optional count-in; a setlist is an ordered list of songs.
+ * DOM- and audio-free; the metronome calls onBar() on every downbeat and applies current().
+ *
+ * Song:    { id, name, countIn, sections: [{ name, bars, bpm, signature }] }
+ * Setlist: { id, name, songs: [songId] }
+ * State:   { section, bar, done }, section -1 = count-in
+ */
+
+// Script tags share their globals; Node needs the modules required explicitly
+const SetlistsDeps = typeof module !== 'undefined' && typeof require === 'function'
+    ? { Meter: require('./meter.js') }
+    : { Meter };
+
+const Setlists = {
+    MAX_BARS: 999,
+    MAX_COUNT_IN: 4,
+    MIN_BPM: 30,
+    MAX_BPM: 300,
+    EXAMPLE_SONG: {
+        id: 'example',
+        name: 'Example Song',
+        countIn: 1,
+        sections: [
+            { name: 'Intro', bars: 4, bpm: 90, signature: '4/4' },
+            { name: 'Verse', bars: 8, bpm: 90, signature: '4/4' },
+            { name: 'Bridge', bars: 4, bpm: 135, signature: '6/8' },
+            { name: 'Outro', bars: 4, bpm: 90, signature: '4/4' }
+        ]
+    },
+
+    normalizeSection(section, index = 0) {
+        const s = section || {};
+        const bars = parseInt(s.bars, 10);
+        const bpm = parseInt(s.bpm, 10);
+        return {
+            name: String(s.name || '').trim() || `Section ${index + 1}`,
+            bars: bars >= 1 ? Math.min(this.MAX_BARS, bars) : 4,
+            bpm: bpm > 0 ? Math.max(this.MIN_BPM, Math.min(this.MAX_BPM, bpm)) : 120,
+            signature: SetlistsDeps.Meter.parseSignature(s.signature) ? SetlistsDeps.Meter.create(s.signature).signature : SetlistsDeps.Meter.DEFAULT_SIGNATURE
+        };
+    },
+
+    normalizeSong(song) {
+        const s = song || {};
+        const countIn = parseInt(s.countIn, 10);
+        const sections = Array.isArray(s.sections) && s.sections.length ? s.sections : [{}];
+        return {
+            id: String(s.id || `song-${Date.now()}`),
+            name: String(s.name || '').trim() || 'Untitled Song',
+            countIn: countIn >= 0 ? Math.min(this.MAX_COUNT_IN, countIn) : 0,
+            sections: sections.map((section, i) => this.normalizeSection(section, i))
+        };
+    },
+
+    // Song ids that no longer exist are dropped
+    normalizeSetlist(setlist, songs) {
+        const s = setlist || {};
+        const ids = songs.map(song => song.id);
+        return {
+            id: String(s.id || `setlist-${Date.now()}`),
+            name: String(s.name || '').trim() || 'Untitled Setlist',
+            songs: (Array.isArray(s.songs) ? s.songs : []).filter(id => ids.includes(id))
+        };
+    },
+
+    totalBars(song) {
+        return song.sections.reduce((sum, s) => sum + s.bars, 0);
+    },
+
+    // Seconds from the first section to the end (count-in not included); BPM counts the signature's unit
+    duration(song) {
+        return song.sections.reduce((sum, s) => {
+            const meter = SetlistsDeps.Meter.create(s.signature);
+            return sum + s.bars * meter.beats * SetlistsDeps.Meter.beatSeconds(s.bpm);
+        }, 0);
+    },
+
+    // e.g. "4:05"
+    formatDuration(seconds) {
+        const total = Math.round(seconds);
+        return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+    },
+
+    createState(song) {
+        return { section: song.countIn > 0 ? -1 : 0, bar: 0, done: false };
+    },
+
+    // Section being played; the count-in uses the first section's tempo and meter
+    current(song, state) {
+        if (state.section === -1) return { ...song.sections[0], name: 'Count-in', bars: song.countIn };
+        return song.sections[state.section];
+    },
+
+    // Called on every downbeat after the first. Returns true when a new section starts; state.done after the last bar.
+    onBar(state, song) {
+        if (state.done) return false;
+        state.bar++;
+        if (state.bar < this.current(song, state).bars) return false;
+
+        state.bar = 0;
+        state.section++;
+        if (state.section >= song.sections.length) {
+            state.done = true;
+            return false;
+        }
+        return true;
+    },
+
+    // e.g. "Bridge · bar 3 of 4"
+    describe(song, state) {
+        const section = this.current(song, state);
+        return `${section.name} · bar ${state.bar + 1} of ${section.bars}`;
+    },
+
+    // e.g. "Next: Outro (4/4, 90 BPM)", or null in the last section
+    describeNext(song, state) {
+        const next = song.sections[state.section + 1];
+        return next ? `Next: ${next.name} (${next.signature}, ${next.bpm} BPM)` : null;
+    }
+};
+
+if (typeof module !== 'undefined') module.exports = Setlists;
@@ -0,0 +1,111 @@
+/**
+ * Speed Trainer
+ * Tempo programs for the metronome: start at one BPM and step towards a target every N bars or
+ * N seconds, optionally in a cycle that steps back (+5, +5, -3). DOM- and audio-free; the metronome
+ * calls onBar() on every downbeat and plays state.bpm.
+ *
+ * Program: { enabled, lick, start, target, every, unit: 'bars' | 'seconds', steps: [5, 5, -3] }
+ * State:   { bpm, step, bars, changedAt, reached, done }
+ */
+
+const SpeedTrainer = {
+    DEFAULTS: { enabled: false, lick: '', start: 80, target: 120, every: 4, unit: 'bars', steps: [5] },
+    UNITS: { bars: 'Bars', seconds: 'Seconds' },
+    MIN_BPM: 30,
+    MAX_BPM: 300,
+    MAX_EVERY: 999,
+
+    clampBpm(bpm) {
+        return Math.max(this.MIN_BPM, Math.min(this.MAX_BPM, Math.round(bpm)));
+    },
+
+    // "+5, +5, -3" -> [5, 5, -3]; null unless every step is a whole number and the cycle gains tempo
+    parseSteps(text) {
+        const parts = String(text || '').split(/[,\s]+/).filter(Boolean).map(p => p.replace('−', '-'));
+        if (parts.length === 0 || parts.some(p => !/^[+-]?\d+$/.test(p))) return null;
+        const steps = parts.map(p => parseInt(p, 10));
+        return steps.every(s => s !== 0) && steps.reduce((sum, s) => sum + s, 0) > 0 ? steps : null;
+    },
+
+    formatSteps(steps) {
+        return steps.map(s => (s > 0 ? `+${s}` : String(s))).join(', ');
+    },
+
+    normalize(program) {
+        const p = { ...this.DEFAULTS, ...(program || {}) };
+        const every = parseFloat(p.every);
+        return {
+            enabled: p.enabled === true,
+            lick: String(p.lick || '').trim(),
+            start: this.clampBpm(parseFloat(p.start) || this.DEFAULTS.start),
+            target: this.clampBpm(parseFloat(p.target) || this.DEFAULTS.target),
+            every: every > 0 ? Math.min(this.MAX_EVERY, every) : this.DEFAULTS.every,
+            unit: this.UNITS[p.unit] ? p.unit : 'bars',
+            steps: Array.isArray(p.steps) && this.parseSteps(p.steps.join(',')) ? [...p.steps] : [...this.DEFAULTS.steps]
+        };
+    },
+
+    // Steps count towards the target, so a program may also slow down (start above target)
+    direction(program) {
+        return program.target < program.start ? -1 : 1;
+    },
+
+    // time: audio time of the first downbeat
+    createState(program, time) {
+        return {
+            bpm: program.start,
+            step: 0,           // Position in the steps cycle
+            bars: 0,           // Bars since the last change
+            changedAt: time,   // Audio time of the last change
+            reached: program.start,
+            done: program.start === program.target
+        };
+    },
+
+    // Tempo after the next step (never past the target), or null once the target is reached
+    peek(state, program) {
+        if (state.done) return null;
+        const dir = this.direction(program);
+        const next = this.clampBpm(state.bpm + program.steps[state.step] * dir);
+        return dir > 0 ? Math.min(next, program.target) : Math.max(next, program.target);
+    },
+
+    /**
+     * Called on every downbeat (time = its audio time). Changes only happen on downbeats, so in
+     * seconds mode the tempo moves at the first bar line after the interval. Returns true on a change.
+     */
+    onBar(state, program, time) {
+        state.bars++;
+        if (state.done) return false;
+        const due = program.unit === 'bars'
+            ? state.bars >= program.every
+            : time - state.changedAt >= program.every - 1e-6;
+        if (!due) return false;
+
+        state.bpm = this.peek(state, program);
+        state.step = (state.step + 1) % program.steps.length;
+        state.bars = 0;
+        state.changedAt = time;
+        const dir = this.direction(program);
+        if ((state.bpm - state.reached) * dir > 0) state.reached = state.bpm;
+        state.done = state.bpm === program.target;
+        return true;
+    },
+
+    // Bars, or whole seconds, until the next change
+    remaining(state, program, time) {
+        if (program.unit === 'bars') return Math.max(0, program.every - state.bars);
+        return Math.max(0, Math.ceil(program.every - (time - state.changedAt)));
+    },
+
+    // e.g. "Next: 105 BPM in 2 bars" / "Target reached"
+    describeNext(state, program, time) {
+        const next = this.peek(state, program);
+        if (next === null) return 'Target reached';
+        const left = this.remaining(state, program, time);
+        const unit = program.unit === 'bars' ? (left === 1 ? 'bar' : 'bars') : 's';
+        return `Next: ${next} BPM in ${left} ${unit}`;
+    }
+};
+
+if (typeof module !== 'undefined') module.exports = SpeedTrainer;
@@ -0,0 +1,97 @@
+/**
+ * Strobe Display
+ * Shared by both tuners. Measurement is DOM-free; drawing only needs a canvas.
+ *
+ * measureCents() mixes the input with a reference at the target frequency and
+ * tracks how fast the phase between them drifts, which resolves ~0.1 cent
+ * where the needle (driven by the period estimate) cannot.
+ * The tuner integrates that drift into a phase and hands it to draw(),
+ * so the bands stand still in tune and scroll right (sharp) or left (flat).
+ */
+
+const Strobe = {
+    MAX_CENTS: 60,         // Largest deviation the phase comparison resolves unambiguously
+    BANDS_PER_CENT: 1,     // Scroll speed: bands per second for each cent of error
+    MAX_SPEED: 24,         // Cap (bands/s) so large errors don't alias into slow motion
+    ROWS: [1, 2, 4],       // Harmonic rows; higher rows move faster for coarse tuning
+
+    // Fine deviation in cents of buf against targetFreq, or null if the signal is unusable
+    measureCents(buf, sampleRate, targetFreq) {
+        if (!targetFreq) return null;
+
+        // Hop between the two analysis windows: long for precision, short enough
+        // that MAX_CENTS of drift stays under half a cycle
+        const maxDriftHz = targetFreq * (Math.pow(2, this.MAX_CENTS / 1200) - 1);
+        const period = sampleRate / targetFreq;
+        let hop = Math.min(Math.floor(buf.length / 2), Math.floor(sampleRate / (2 * maxDriftHz)));
+        // Short buffers on low notes: give up some hop so each window still spans two periods
+        hop = Math.min(hop, buf.length - Math.ceil(period * 2));
+
+        // Whole number of target periods per window, so harmonics of the target cancel out
+        const periods = Math.floor((buf.length - hop) / period);
+        if (hop < 1 || periods < 2) return null; // Need two periods per window
+        const W = Math.round(periods * period);
+
+        const a = this.mix(buf, 0, W, sampleRate, targetFreq);
+        const b = this.mix(buf, hop, W, sampleRate, targetFreq);
+        if (!a.mag || !b.mag) return null;
+
+        let dPhase = b.phase - a.phase;
+        while (dPhase > Math.PI) dPhase -= 2 * Math.PI;
+        while (dPhase < -Math.PI) dPhase += 2 * Math.PI;
+
+        const driftHz = dPhase * sampleRate / (2 * Math.PI * hop);
+        return 1200 * Math.log2((targetFreq + driftHz) / targetFreq);
+    },
+
+    // Heterodyne of buf[start .. start + length) against freq.
+    // Uses absolute sample positions so both windows share one reference oscillator.
+    mix(buf, start, length, sampleRate, freq) {
+        const w = 2 * Math.PI * freq / sampleRate;
+        let re = 0, im = 0;
+        for (let n = 0; n < length; n++) {
+            const x = buf[start + n];
+            const k = w * (start + n);
+            re += x * Math.cos(k);
+            im -= x * Math.sin(k);
+        }
+        return { phase: Math.atan2(im, re), mag: Math.hypot(re, im) };
+    },
+
+    // Advance a strobe phase (in bands) by dt ms at the given deviation
+    advance(phase, cents, dt) {
+        if (cents === null) return phase;
+        const speed = Math.max(-this.MAX_SPEED, Math.min(this.MAX_SPEED, cents * this.BANDS_PER_CENT));
+        return (phase + speed * dt / 1000) % 1;
+    },
+
+    draw(canvas, phase, cents, colors = {}) {
+        const ctx = canvas.getContext('2d');
+        const w = canvas.width;
+        const h = canvas.height;
+        const rowH = h / this.ROWS.length;
+        const inTune = cents !== null && Math.abs(cents) <= 1;
+
+        ctx.fillStyle = colors.background || '#111';
+        ctx.fillRect(0, 0, w, h);
+
+        this.ROWS.forEach((harmonic, r) => {
+            const bandW = w / (8 * harmonic); // Band + gap width
+            const offset = ((phase * harmonic) % 1 + 1) % 1 * bandW;
+            ctx.fillStyle = inTune ? (colors.inTune || '#00E676') : (colors.band || '#AAAAAA');
+            ctx.globalAlpha = cents === null ? 0.25 : 1;
+            for (let x = -bandW + offset; x < w; x += bandW) {
+                ctx.fillRect(x, r * rowH + 2, bandW / 2, rowH - 4);
+            }
+        });
+        ctx.globalAlpha = 1;
+
+        // Fine readout
+        if (cents !== null) {
+            ctx.fillStyle = colors.text || '#FFFFFF';
+            ctx.font = '12px monospace';
+            ctx.textAlign = 'right';
+            ctx.fillText(`${cents > 0 ? '+' : ''}${cents.toFixed(1)}¢`, w - 4, h - 4);
+        }
+    }
+};
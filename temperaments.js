@@ -0,0 +1,101 @@
+/**
+ * Temperaments & Concert Pitch
+ * DOM-free tuning-system data shared by both tuners.
+ *
+ * 'note' temperaments give a cent offset per pitch class, relative to a key (index 0 = the key's tonic).
+ * 'string' temperaments ("sweetened" tunings) give a cent offset per string instead,
+ * taken from the player's own offsets list.
+ */
+
+const TEMPERAMENTS = {
+    equal: {
+        name: 'Equal (12-TET)',
+        type: 'note',
+        offsets: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
+    },
+    just: {
+        // 5-limit ratios: 1/1 16/15 9/8 6/5 5/4 4/3 45/32 3/2 8/5 5/3 9/5 15/8
+        name: 'Just Intonation',
+        type: 'note',
+        offsets: [0, 11.73, 3.91, 15.64, -13.69, -1.96, -9.78, 1.96, 13.69, -15.64, 17.6, -11.73]
+    },
+    pythagorean: {
+        // Stacked pure fifths
+        name: 'Pythagorean',
+        type: 'note',
+        offsets: [0, -9.78, 3.91, -5.87, 7.82, -1.96, 11.73, 1.96, -7.82, 5.87, -3.91, 9.78]
+    },
+    sweetened: {
+        // Buzz Feiten-style starting point for 6 strings (low to high), editable per tuning
+        name: 'Sweetened (per string)',
+        type: 'string',
+        offsets: [0, -2, -2, -2, -1, 0]
+    }
+};
+
+const DEFAULT_PITCH_PREFS = {
+    referencePitch: 440, // A4 in Hz
+    temperament: 'equal',
+    key: 0,              // Pitch class of the temperament's tonic (0 = C)
+    stringOffsets: [...TEMPERAMENTS.sweetened.offsets]
+};
+
+const Temperament = {
+    MIN_REFERENCE: 415,
+    MAX_REFERENCE: 466,
+    KEY_NAMES: ["C", "C#", "D", "Eb", "E", "F", "F#", "G", "Ab", "A", "Bb", "B"],
+
+    // Validated copy of stored prefs, falling back to defaults field by field
+    normalize(prefs) {
+        const p = { ...DEFAULT_PITCH_PREFS, ...(prefs || {}) };
+
+        const ref = parseFloat(p.referencePitch);
+        p.referencePitch = isNaN(ref) ? 440 : Math.max(this.MIN_REFERENCE, Math.min(this.MAX_REFERENCE, ref));
+        if (!TEMPERAMENTS[p.temperament]) p.temperament = 'equal';
+        p.key = ((parseInt(p.key) || 0) % 12 + 12) % 12;
+        p.stringOffsets = Array.isArray(p.stringOffsets)
+            ? p.stringOffsets.map(c => parseFloat(c) || 0)
+            : [...DEFAULT_PITCH_PREFS.stringOffsets];
+
+        return p;
+    },
+
+    // Cents to add to an equal-tempered note (absolute semitone index, C0 = 0)
+    noteOffset(prefs, noteIndex) {
+        const t = TEMPERAMENTS[prefs.temperament];
+        if (!t || t.type !== 'note') return 0;
+        const degree = ((noteIndex - prefs.key) % 12 + 12) % 12;
+        return t.offsets[degree];
+    },
+
+    // Cents to add to a given string (0 = lowest) for string temperaments
+    stringOffset(prefs, stringIndex) {
+        const t = TEMPERAMENTS[prefs.temperament];
+        if (!t || t.type !== 'string') return 0;
+        return prefs.stringOffsets[stringIndex] || 0;
+    },
+
+    // Frequency of an absolute semitone index under the given prefs (A4 = index 57)
+    frequency(prefs, noteIndex, extraCents = 0) {
+        const cents = (noteIndex - 57) * 100 + this.noteOffset(prefs, noteIndex) + extraCents;
+        return prefs.referencePitch * Math.pow(2, cents / 1200);
+    },
+
+    // Parses "0, -2, -2.5" style lists typed by the user
+    parseOffsets(text) {
+        return String(text).split(/[\s,;]+/).filter(Boolean).map(v => parseFloat(v) || 0);
+    },
+
+    // Short label for the tuner display, e.g. "A4 = 442 Hz · Just Intonation (G)"
+    describe(prefs) {
+        const t = TEMPERAMENTS[prefs.temperament];
+        let label = `A4 = ${prefs.referencePitch} Hz`;
+        if (prefs.temperament !== 'equal') {
+            label += ` · ${t.name}`;
+            if (t.type === 'note') label += ` (${this.KEY_NAMES[prefs.key]})`;
+        }
+        return label;
+    }
+};
+
+if (typeof module !== 'undefined') module.exports = { TEMPERAMENTS, Temperament };
@@ -0,0 +1,127 @@
+/**
+ * Timing Analysis
+ * Rushing/dragging against the metronome: mic onsets (see onset-detector.js) are matched to the click
+ * times the metronome scheduled, giving an early/late offset per hit. DOM- and audio-free; the caller takes
+ * the audio round-trip latency off the onsets first, so they're on the clicks' scheduled timeline.
+ *
+ * Onsets wait in `pending` until the clicks on both sides of them have played, then go to the nearer
+ * one, so an offset is never more than half the click spacing.
+ * Session: { startedAt, clicks: [time], pending: [time], hits: [{ at, offset }] }, at = s into the session.
+ */
+
+const TimingAnalysis = {
+    BIN: 10,          // ms per histogram bin
+    RANGE: 100,       // Histogram covers ±RANGE ms; later/earlier hits go in the end bins
+    ON_BEAT: 5,       // ms of mean offset still called on the beat
+    SPREAD_ZERO: 50,  // ms of standard deviation scoring 0% consistency
+    MIN_HITS: 8,      // Shorter sessions aren't saved
+    KEEP_CLICKS: 10,  // s of click history kept for matching
+
+    createSession(startedAt) {
+        return { startedAt, clicks: [], pending: [], hits: [] };
+    },
+
+    // A click as it plays (silent gap-trainer bars count too; subdivisions are left out by the caller)
+    addClick(session, time) {
+        session.clicks.push(time);
+        while (session.clicks.length && session.clicks[0] < time - this.KEEP_CLICKS) session.clicks.shift();
+    },
+
+    addOnsets(session, onsets) {
+        session.pending.push(...onsets);
+    },
+
+    // Matches pending onsets whose neighbouring clicks have played by `now`; returns the new hits
+    settle(session, now) {
+        const hits = [];
+        const clicks = session.clicks;
+        while (session.pending.length) {
+            const onset = session.pending[0];
+            const after = clicks.findIndex(c => c > onset);
+            if (after === -1 || clicks[after] > now) break; // The next click hasn't played yet
+            session.pending.shift();
+
+            // Nearest of the clicks either side (onsets before the first click have nothing to go to)
+            const before = after - 1;
+            if (before < 0) continue;
+            const click = onset - clicks[before] <= clicks[after] - onset ? clicks[before] : clicks[after];
+
+            const hit = { at: onset - session.startedAt, offset: (onset - click) * 1000 };
+            session.hits.push(hit);
+            hits.push(hit);
+        }
+        return hits;
+    },
+
+    // [{ from, to, count }] over ±RANGE ms in BIN steps; the end bins also hold everything beyond
+    histogram(hits) {
+        const bins = [];
+        for (let from = -this.RANGE; from < this.RANGE; from += this.BIN) bins.push({ from, to: from + this.BIN, count: 0 });
+        hits.forEach(h => {
+            const index = Math.floor((h.offset + this.RANGE) / this.BIN);
+            bins[Math.max(0, Math.min(bins.length - 1, index))].count++;
+        });
+        return bins;
+    },
+
+    /**
+     * { count, mean, spread, consistency, trend } of the hits: mean and spread (standard deviation) in ms,
+     * consistency 0-100 (100 = every hit at the same offset), trend = ms per minute the offset moves
+     * over the session (least-squares slope; positive = getting later). null values below two hits.
+     */
+    stats(hits) {
+        const n = hits.length;
+        if (n === 0) return { count: 0, mean: null, spread: null, consistency: null, trend: null };
+        const mean = hits.reduce((sum, h) => sum + h.offset, 0) / n;
+        if (n < 2) return { count: n, mean, spread: null, consistency: null, trend: null };
+
+        const spread = Math.sqrt(hits.reduce((sum, h) => sum + (h.offset - mean) ** 2, 0) / (n - 1));
+        const meanAt = hits.reduce((sum, h) => sum + h.at, 0) / n;
+        let cov = 0;
+        let varAt = 0;
+        hits.forEach(h => {
+            cov += (h.at - meanAt) * (h.offset - mean);
+            varAt += (h.at - meanAt) ** 2;
+        });
+        return {
+            count: n,
+            mean,
+            spread,
+            consistency: Math.round(Math.max(0, 1 - spread / this.SPREAD_ZERO) * 100),
+            trend: varAt > 0 ? (cov / varAt) * 60 : 0
+        };
+    },
+
+    // e.g. "Rushing by 12 ms" / "Dragging by 8 ms" / "On the beat"
+    describeMean(mean) {
+        if (mean === null) return 'No hits yet';
+        const amount = Math.round(Math.abs(mean));
+        if (amount <= this.ON_BEAT) return 'On the beat';
+        return mean < 0 ? `Rushing by ${amount} ms` : `Dragging by ${amount} ms`;
+    },
+
+    // e.g. "Getting later (+4 ms/min)"
+    describeTrend(trend) {
+        if (trend === null) return '';
+        const rounded = Math.round(trend);
+        if (rounded === 0) return 'Steady';
+        return rounded > 0 ? `Getting later (+${rounded} ms/min)` : `Getting earlier (${rounded} ms/min)`;
+    },
+
+    // What the profile keeps of a session, or null when it's too short to mean anything
+    summary(session, bpm, signature) {
+        const s = this.stats(session.hits);
+        if (s.count < this.MIN_HITS) return null;
+        return {
+            bpm,
+            signature,
+            hits: s.count,
+            mean: Math.round(s.mean * 10) / 10,
+            spread: Math.round(s.spread * 10) / 10,
+            consistency: s.consistency,
+            trend: Math.round(s.trend * 10) / 10
+        };
+    }
+};
+
+if (typeof module !== 'undefined') module.exports = TimingAnalysis;
@@ -0,0 +1,199 @@
+/**
+ * Tuning Catalog
+ * DOM-free tuning data shared by both tuners: instruments grouped into families, and every
+ * tuning with a stable id ("instrument.slug") so favorites and recents survive renames.
+ *
+ * Instrument: { name, family, strings }        strings = physical strings (a 12-string has 12)
+ * Tuning:     { id, instrument, name, notes, tags, aliases }
+ *   notes are courses, lowest first except re-entrant instruments (see courses.js for "E2/E3")
+ *   tags group tunings across instruments ("drop", "open", ...), aliases are other names people search for.
+ */
+
+const TuningCatalog = {
+    FAMILIES: {
+        guitar: 'Guitars',
+        bass: 'Basses',
+        ukulele: 'Ukuleles',
+        bowed: 'Bowed Strings',
+        mandolin: 'Mandolin Family',
+        banjo: 'Banjos',
+        folk: 'Folk Instruments'
+    },
+
+    INSTRUMENTS: {
+        guitar: { name: "Guitar (6 String)", family: 'guitar', strings: 6 },
+        guitar7: { name: "Guitar (7 String)", family: 'guitar', strings: 7 },
+        guitar8: { name: "Guitar (8 String)", family: 'guitar', strings: 8 },
+        guitar12: { name: "Guitar (12 String)", family: 'guitar', strings: 12 },
+        baritone: { name: "Baritone Guitar", family: 'guitar', strings: 6 },
+        bass: { name: "Bass (4 String)", family: 'bass', strings: 4 },
+        bass5: { name: "Bass (5 String)", family: 'bass', strings: 5 },
+        bass6: { name: "Bass (6 String)", family: 'bass', strings: 6 },
+        ukulele: { name: "Ukulele", family: 'ukulele', strings: 4 },
+        violin: { name: "Violin", family: 'bowed', strings: 4 },
+        viola: { name: "Viola", family: 'bowed', strings: 4 },
+        cello: { name: "Cello", family: 'bowed', strings: 4 },
+        mandolin: { name: "Mandolin", family: 'mandolin', strings: 8 },
+        mandola: { name: "Mandola", family: 'mandolin', strings: 8 },
+        'octave-mandolin': { name: "Octave Mandolin", family: 'mandolin', strings: 8 },
+        banjo: { name: "Banjo (5 String)", family: 'banjo', strings: 5 },
+        'tenor-banjo': { name: "Tenor Banjo", family: 'banjo', strings: 4 },
+        bouzouki: { name: "Irish Bouzouki", family: 'folk', strings: 8 },
+        'greek-bouzouki': { name: "Greek Bouzouki (4 Course)", family: 'folk', strings: 8 },
+        'greek-bouzouki3': { name: "Greek Bouzouki (3 Course)", family: 'folk', strings: 6 },
+        balalaika: { name: "Balalaika", family: 'folk', strings: 3 },
+        cavaquinho: { name: "Cavaquinho", family: 'folk', strings: 4 }
+    },
+
+    TUNINGS: [
+        // Guitar (6 String)
+        { id: 'guitar.standard', instrument: 'guitar', name: "Standard", notes: ["E2", "A2", "D3", "G3", "B3", "E4"], tags: ['standard'], aliases: ["E Standard"] },
+        { id: 'guitar.drop-d', instrument: 'guitar', name: "Drop D", notes: ["D2", "A2", "D3", "G3", "B3", "E4"], tags: ['drop'], aliases: [] },
+        { id: 'guitar.half-step-down', instrument: 'guitar', name: "Half Step Down", notes: ["Eb2", "Ab2", "Db3", "Gb3", "Bb3", "Eb4"], tags: ['lowered'], aliases: ["Eb Standard", "Half-Step Down"] },
+        { id: 'guitar.whole-step-down', instrument: 'guitar', name: "Whole Step Down", notes: ["D2", "G2", "C3", "F3", "A3", "D4"], tags: ['lowered'], aliases: ["D Standard"] },
+        { id: 'guitar.drop-c', instrument: 'guitar', name: "Drop C", notes: ["C2", "G2", "C3", "F3", "A3", "D4"], tags: ['drop', 'lowered'], aliases: [] },
+        { id: 'guitar.open-d', instrument: 'guitar', name: "Open D", notes: ["D2", "A2", "D3", "F#3", "A3", "D4"], tags: ['open'], aliases: ["Vestapol"] },
+        { id: 'guitar.open-g', instrument: 'guitar', name: "Open G", notes: ["D2", "G2", "D3", "G3", "B3", "D4"], tags: ['open'], aliases: ["Spanish", "Taropatch"] },
+        { id: 'guitar.open-c', instrument: 'guitar', name: "Open C", notes: ["C2", "G2", "C3", "G3", "C4", "E4"], tags: ['open'], aliases: [] },
+        { id: 'guitar.open-e', instrument: 'guitar', name: "Open E", notes: ["E2", "B2", "E3", "G#3", "B3", "E4"], tags: ['open'], aliases: [] },
+        { id: 'guitar.dadgad', instrument: 'guitar', name: "DADGAD", notes: ["D2", "A2", "D3", "G3", "A3", "D4"], tags: ['modal'], aliases: ["Dsus4", "Celtic"] },
+        { id: 'guitar.nashville', instrument: 'guitar', name: "Nashville", notes: ["E3", "A3", "D4", "G4", "B3", "E4"], tags: ['nashville', 're-entrant'], aliases: ["High Strung"] },
+
+        // Extended range
+        { id: 'guitar7.standard', instrument: 'guitar7', name: "Standard", notes: ["B1", "E2", "A2", "D3", "G3", "B3", "E4"], tags: ['standard', 'extended-range'], aliases: ["B Standard"] },
+        { id: 'guitar7.drop-a', instrument: 'guitar7', name: "Drop A", notes: ["A1", "E2", "A2", "D3", "G3", "B3", "E4"], tags: ['drop', 'extended-range'], aliases: [] },
+        { id: 'guitar7.half-step-down', instrument: 'guitar7', name: "Half Step Down", notes: ["Bb1", "Eb2", "Ab2", "Db3", "Gb3", "Bb3", "Eb4"], tags: ['lowered', 'extended-range'], aliases: [] },
+        { id: 'guitar8.standard', instrument: 'guitar8', name: "Standard", notes: ["F#1", "B1", "E2", "A2", "D3", "G3", "B3", "E4"], tags: ['standard', 'extended-range'], aliases: ["F# Standard"] },
+        { id: 'guitar8.drop-e', instrument: 'guitar8', name: "Drop E", notes: ["E1", "B1", "E2", "A2", "D3", "G3", "B3", "E4"], tags: ['drop', 'extended-range'], aliases: [] },
+
+        // Courses are "main/partner"; the low four carry an octave string
+        { id: 'guitar12.standard', instrument: 'guitar12', name: "Standard", notes: ["E2/E3", "A2/A3", "D3/D4", "G3/G4", "B3/B3", "E4/E4"], tags: ['standard', 'paired'], aliases: [] },
+        { id: 'guitar12.drop-d', instrument: 'guitar12', name: "Drop D", notes: ["D2/D3", "A2/A3", "D3/D4", "G3/G4", "B3/B3", "E4/E4"], tags: ['drop', 'paired'], aliases: [] },
+        { id: 'guitar12.half-step-down', instrument: 'guitar12', name: "Half Step Down", notes: ["Eb2/Eb3", "Ab2/Ab3", "Db3/Db4", "Gb3/Gb4", "Bb3/Bb3", "Eb4/Eb4"], tags: ['lowered', 'paired'], aliases: [] },
+
+        { id: 'baritone.b-standard', instrument: 'baritone', name: "B Standard", notes: ["B1", "E2", "A2", "D3", "F#3", "B3"], tags: ['standard', 'extended-range'], aliases: ["Baritone"] },
+        { id: 'baritone.a-standard', instrument: 'baritone', name: "A Standard", notes: ["A1", "D2", "G2", "C3", "E3", "A3"], tags: ['lowered', 'extended-range'], aliases: [] },
+        { id: 'baritone.drop-a', instrument: 'baritone', name: "Drop A", notes: ["A1", "E2", "A2", "D3", "F#3", "B3"], tags: ['drop', 'extended-range'], aliases: [] },
+
+        // Basses
+        { id: 'bass.standard', instrument: 'bass', name: "Standard", notes: ["E1", "A1", "D2", "G2"], tags: ['standard'], aliases: [] },
+        { id: 'bass.drop-d', instrument: 'bass', name: "Drop D", notes: ["D1", "A1", "D2", "G2"], tags: ['drop'], aliases: [] },
+        { id: 'bass.half-step-down', instrument: 'bass', name: "Half Step Down", notes: ["Eb1", "Ab1", "Db2", "Gb2"], tags: ['lowered'], aliases: ["Eb Standard"] },
+        { id: 'bass.d-standard', instrument: 'bass', name: "D Standard", notes: ["D1", "G1", "C2", "F2"], tags: ['lowered'], aliases: ["Whole Step Down"] },
+        { id: 'bass5.standard', instrument: 'bass5', name: "Standard", notes: ["B0", "E1", "A1", "D2", "G2"], tags: ['standard', 'extended-range'], aliases: ["Low B"] },
+        { id: 'bass5.high-c', instrument: 'bass5', name: "High C", notes: ["E1", "A1", "D2", "G2", "C3"], tags: ['extended-range'], aliases: ["Tenor"] },
+        { id: 'bass6.standard', instrument: 'bass6', name: "Standard", notes: ["B0", "E1", "A1", "D2", "G2", "C3"], tags: ['standard', 'extended-range'], aliases: [] },
+
+        // Ukuleles (re-entrant: the G string sits above C)
+        { id: 'ukulele.standard', instrument: 'ukulele', name: "Standard (GCEA)", notes: ["G4", "C4", "E4", "A4"], tags: ['standard', 're-entrant'], aliases: ["High G", "C Tuning"] },
+        { id: 'ukulele.d-tuning', instrument: 'ukulele', name: "D Tuning (ADF#B)", notes: ["A4", "D4", "F#4", "B4"], tags: ['re-entrant'], aliases: [] },
+        { id: 'ukulele.low-g', instrument: 'ukulele', name: "Low G", notes: ["G3", "C4", "E4", "A4"], tags: [], aliases: [] },
+        { id: 'ukulele.baritone', instrument: 'ukulele', name: "Baritone (DGBE)", notes: ["D3", "G3", "B3", "E4"], tags: [], aliases: ["Baritone Ukulele"] },
+
+        // Bowed
+        { id: 'violin.standard', instrument: 'violin', name: "Standard", notes: ["G3", "D4", "A4", "E5"], tags: ['standard'], aliases: ["Violin", "Fiddle"] },
+        { id: 'violin.cross-a', instrument: 'violin', name: "Cross A (AEAE)", notes: ["A3", "E4", "A4", "E5"], tags: ['open'], aliases: ["Cross Tuning", "Scordatura"] },
+        { id: 'viola.standard', instrument: 'viola', name: "Standard", notes: ["C3", "G3", "D4", "A4"], tags: ['standard'], aliases: ["Viola"] },
+        { id: 'cello.standard', instrument: 'cello', name: "Standard", notes: ["C2", "G2", "D3", "A3"], tags: ['standard'], aliases: ["Cello"] },
+
+        // Mandolin family (unison pairs)
+        { id: 'mandolin.standard', instrument: 'mandolin', name: "Standard", notes: ["G3/G3", "D4/D4", "A4/A4", "E5/E5"], tags: ['standard', 'paired'], aliases: ["Mandolin", "Standard (paired)"] },
+        { id: 'mandola.standard', instrument: 'mandola', name: "Standard", notes: ["C3/C3", "G3/G3", "D4/D4", "A4/A4"], tags: ['standard', 'paired'], aliases: ["Mandola"] },
+        { id: 'octave-mandolin.standard', instrument: 'octave-mandolin', name: "Standard", notes: ["G2/G2", "D3/D3", "A3/A3", "E4/E4"], tags: ['standard', 'paired'], aliases: ["Octave Mandolin"] },
+
+        // Banjos (5-string: the short drone string comes first)
+        { id: 'banjo.open-g', instrument: 'banjo', name: "Open G", notes: ["G4", "D3", "G3", "B3", "D4"], tags: ['standard', 'open', 're-entrant'], aliases: ["Banjo (5-String)", "Standard"] },
+        { id: 'banjo.double-c', instrument: 'banjo', name: "Double C", notes: ["G4", "C3", "G3", "C4", "D4"], tags: ['re-entrant'], aliases: [] },
+        { id: 'banjo.open-d', instrument: 'banjo', name: "Open D", notes: ["F#4", "D3", "F#3", "A3", "D4"], tags: ['open', 're-entrant'], aliases: [] },
+        { id: 'banjo.sawmill', instrument: 'banjo', name: "Sawmill (gDGCD)", notes: ["G4", "D3", "G3", "C4", "D4"], tags: ['modal', 're-entrant'], aliases: ["Mountain Modal", "G Modal"] },
+        { id: 'banjo.c-tuning', instrument: 'banjo', name: "C Tuning", notes: ["G4", "C3", "G3", "B3", "D4"], tags: ['re-entrant'], aliases: [] },
+        { id: 'tenor-banjo.standard', instrument: 'tenor-banjo', name: "Standard (CGDA)", notes: ["C3", "G3", "D4", "A4"], tags: ['standard'], aliases: [] },
+        { id: 'tenor-banjo.irish', instrument: 'tenor-banjo', name: "Irish (GDAE)", notes: ["G2", "D3", "A3", "E4"], tags: [], aliases: [] },
+
+        // Folk
+        { id: 'bouzouki.gdad', instrument: 'bouzouki', name: "GDAD", notes: ["G2/G3", "D3/D4", "A3/A3", "D4/D4"], tags: ['standard', 'paired', 'modal'], aliases: [] },
+        { id: 'bouzouki.adad', instrument: 'bouzouki', name: "ADAD", notes: ["A2/A3", "D3/D4", "A3/A3", "D4/D4"], tags: ['paired', 'modal'], aliases: [] },
+        { id: 'bouzouki.gdae', instrument: 'bouzouki', name: "GDAE", notes: ["G2/G3", "D3/D4", "A3/A3", "E4/E4"], tags: ['paired'], aliases: ["Octave Mandolin Tuning"] },
+        { id: 'greek-bouzouki.tetrachordo', instrument: 'greek-bouzouki', name: "Tetrachordo (CFAD)", notes: ["C3/C4", "F3/F4", "A3/A3", "D4/D4"], tags: ['standard', 'paired'], aliases: ["4-Course"] },
+        { id: 'greek-bouzouki3.trichordo', instrument: 'greek-bouzouki3', name: "Trichordo (DAD)", notes: ["D3/D4", "A3/A3", "D4/D4"], tags: ['paired'], aliases: ["3-Course"] },
+        { id: 'balalaika.prima', instrument: 'balalaika', name: "Prima (EEA)", notes: ["E4", "E4", "A4"], tags: ['standard'], aliases: ["Balalaika"] },
+        { id: 'cavaquinho.standard', instrument: 'cavaquinho', name: "Standard (DGBD)", notes: ["D4", "G4", "B4", "D5"], tags: ['standard'], aliases: ["Cavaquinho"] }
+    ],
+
+    // Instrument keys used before the catalog: script.js groups and index.html names.
+    // Groups that held several instruments list them all; the old tuning name is matched against names/aliases.
+    LEGACY_INSTRUMENTS: {
+        violin: ['violin', 'viola', 'cello'],
+        folk: ['mandolin', 'mandola', 'octave-mandolin', 'banjo', 'balalaika', 'cavaquinho'],
+        'Guitar': ['guitar'],
+        '12-String Guitar': ['guitar12'],
+        'Bass': ['bass'],
+        'Ukulele': ['ukulele'],
+        'Violin': ['violin'],
+        'Mandolin': ['mandolin']
+    },
+
+    get(id) {
+        return this.TUNINGS.find(t => t.id === id) || null;
+    },
+
+    forInstrument(instrument) {
+        return this.TUNINGS.filter(t => t.instrument === instrument);
+    },
+
+    // Current instrument id for a stored key (an id, or a pre-catalog key), or null
+    instrumentId(key) {
+        if (this.LEGACY_INSTRUMENTS[key]) return this.LEGACY_INSTRUMENTS[key][0];
+        return this.INSTRUMENTS[key] ? key : null;
+    },
+
+    // Id of the tuning called `name` (or an alias) on an instrument, or null.
+    // Also resolves tunings stored before the catalog (old instrument key + tuning name).
+    lookup(instrument, name) {
+        const instruments = this.LEGACY_INSTRUMENTS[instrument] || (this.INSTRUMENTS[instrument] ? [instrument] : []);
+        const wanted = String(name).toLowerCase();
+        const match = this.TUNINGS.find(t => instruments.includes(t.instrument) &&
+            [t.name, ...t.aliases].some(n => n.toLowerCase() === wanted));
+        return match ? match.id : null;
+    },
+
+    // Sorted string counts and tags, for filter menus
+    stringCounts() {
+        return [...new Set(Object.values(this.INSTRUMENTS).map(i => i.strings))].sort((a, b) => a - b);
+    },
+
+    tags() {
+        return [...new Set(this.TUNINGS.flatMap(t => t.tags))].sort();
+    },
+
+    // Everything a search can hit: names, aliases, tags, instrument/family and the notes
+    // (with and without octaves, so "EADGBE" and "D A D" both find their tunings)
+    searchText(tuning) {
+        const instrument = this.INSTRUMENTS[tuning.instrument];
+        const letters = tuning.notes.map(n => n.split('/')[0].replace(/\d/g, '')); // Main string of each course
+        return [
+            tuning.name, ...tuning.aliases, ...tuning.tags,
+            instrument.name, this.FAMILIES[instrument.family],
+            tuning.notes.join(' '), letters.join(' '), letters.join('')
+        ].join(' | ').toLowerCase();
+    },
+
+    /**
+     * Tunings matching a query (every word must appear somewhere, see searchText) and filters,
+     * in catalog order. filters: { family, strings, tag, ids }   ids limits to e.g. the favorites
+     */
+    search(query = '', filters = {}) {
+        const words = String(query).toLowerCase().split(/\s+/).filter(Boolean);
+        return this.TUNINGS.filter(t => {
+            const instrument = this.INSTRUMENTS[t.instrument];
+            if (filters.family && instrument.family !== filters.family) return false;
+            if (filters.strings && instrument.strings !== parseInt(filters.strings)) return false;
+            if (filters.tag && !t.tags.includes(filters.tag)) return false;
+            if (filters.ids && !filters.ids.includes(t.id)) return false;
+            const text = this.searchText(t);
+            return words.every(w => text.includes(w));
+        });
+    }
+};
+
+if (typeof module !== 'undefined') module.exports = TuningCatalog;
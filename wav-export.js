@@ -0,0 +1,76 @@
+/**
+ * WAV Export
+ * Renders audio faster than real time with an OfflineAudioContext and encodes it as 16-bit PCM WAV.
+ * Needs OfflineAudioContext, no DOM. The engines do the scheduling: render() hands them the offline
+ * context and they run their usual scheduleNote/nextNote code against it (see metronomeEngine.render).
+ */
+
+const WavExport = {
+    SAMPLE_RATE: 44100,
+    CHANNELS: 2,        // Stereo, so panned click layers keep their place
+    TAIL: 0.5,          // s after the last note, for decays
+    MAX_SECONDS: 600,   // Longest export (~100 MB of WAV)
+
+    /**
+     * Renders `seconds` of audio; schedule(ctx) sets up every note before rendering starts.
+     * Resolves with the AudioBuffer.
+     */
+    async render(seconds, schedule) {
+        const Ctx = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        if (!Ctx) throw new Error('Offline rendering is not supported in this browser');
+        const length = Math.ceil(Math.min(seconds, this.MAX_SECONDS) * this.SAMPLE_RATE);
+        const ctx = new Ctx(this.CHANNELS, length, this.SAMPLE_RATE);
+        schedule(ctx);
+
+        // Older Safari only reports the result through oncomplete
+        return new Promise((resolve, reject) => {
+            ctx.oncomplete = e => resolve(e.renderedBuffer);
+            const rendering = ctx.startRendering();
+            if (rendering && rendering.then) rendering.then(resolve, reject);
+        });
+    },
+
+    // AudioBuffer (or { numberOfChannels, sampleRate, length, getChannelData }) -> WAV file bytes
+    encode(buffer) {
+        const channels = buffer.numberOfChannels;
+        const frames = buffer.length;
+        const bytesPerSample = 2;
+        const dataSize = frames * channels * bytesPerSample;
+        const view = new DataView(new ArrayBuffer(44 + dataSize));
+        const text = (offset, s) => { for (let i = 0; i < s.length; i++) view.setUint8(offset + i, s.charCodeAt(i)); };
+
+        text(0, 'RIFF');
+        view.setUint32(4, 36 + dataSize, true);
+        text(8, 'WAVE');
+        text(12, 'fmt ');
+        view.setUint32(16, 16, true);                       // fmt chunk size
+        view.setUint16(20, 1, true);                        // PCM
+        view.setUint16(22, channels, true);
+        view.setUint32(24, buffer.sampleRate, true);
+        view.setUint32(28, buffer.sampleRate * channels * bytesPerSample, true);
+        view.setUint16(32, channels * bytesPerSample, true);
+        view.setUint16(34, 16, true);                       // Bits per sample
+        text(36, 'data');
+        view.setUint32(40, dataSize, true);
+
+        // Interleaved, clipped to ±1
+        const data = [];
+        for (let c = 0; c < channels; c++) data.push(buffer.getChannelData(c));
+        let offset = 44;
+        for (let i = 0; i < frames; i++) {
+            for (let c = 0; c < channels; c++) {
+                const s = Math.max(-1, Math.min(1, data[c][i]));
+                view.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7FFF, true);
+                offset += bytesPerSample;
+            }
+        }
+        return view.buffer;
+    },
+
+    // e.g. "Click 7-8 180bpm 16 bars.wav" -> safe for every OS
+    filename(name) {
+        return `${String(name).replace(/[\\/:*?"<>|]+/g, '-').trim() || 'Export'}.wav`;
+    }
+};
+
+if (typeof module !== 'undefined') module.exports = WavExport;